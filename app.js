@@ -9,12 +9,23 @@ const cors = require("cors");
 const authRouter = require("./routes/auth/auth-routes");
 const adminProductsRouter = require("./routes/admin/products-routes");
 const adminOrderRouter = require("./routes/admin/order-routes");
+const adminReturnRouter = require("./routes/admin/return-routes");
+const adminProductionRouter = require("./routes/admin/production-routes");
+const adminAppointmentRouter = require("./routes/admin/appointment-routes");
+const adminCalendarRouter = require("./routes/admin/calendar-routes");
+const adminCouponRouter = require("./routes/admin/coupon-routes");
+const adminShippingRouter = require("./routes/admin/shipping-routes");
+const adminTaxRouter = require("./routes/admin/tax-routes");
+const adminSessionRouter = require("./routes/admin/session-routes");
 const shopProductsRouter = require("./routes/shop/products-routes");
 const shopCartRouter = require("./routes/shop/cart-routes");
 const shopAddressRouter = require("./routes/shop/address-routes");
 const shopOrderRouter = require("./routes/shop/order-routes");
 const shopSearchRouter = require("./routes/shop/search-routes");
 const shopReviewRouter = require("./routes/shop/review-routes");
+const shopReturnRouter = require("./routes/shop/return-routes");
+const shopMeasurementRouter = require("./routes/shop/measurement-routes");
+const shopAppointmentRouter = require("./routes/shop/appointment-routes");
 const commonFeatureRouter = require("./routes/common/feature-routes");
 
 // Simple MongoDB connection (compatible with your current setup)
@@ -22,6 +33,9 @@ mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     console.log("✅ MongoDB connected successfully");
 
+    // Settle PayPal payments whose customers closed the tab before capture
+    require("./helpers/payment-reconciliation").startPaymentReconciliation();
+
     // Create indexes for better query performance (but safely)
     createIndexes();
   })
@@ -68,6 +82,12 @@ async function createIndexes() {
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// TRUST_PROXY_HOPS=1 behind one load balancer, so req.ip is the client's
+// address rather than the proxy's - login throttling and sessions rely on it
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
+}
+
 // Basic CORS configuration (keeping your existing setup)
 app.use(cors({
   origin: [
@@ -86,7 +106,12 @@ app.use(cors({
 }));
 
 app.use(cookieParser());
-app.use(express.json());
+// Keep the raw body around - payment webhooks are signed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // Add simple response time logging
 app.use((req, res, next) => {
@@ -120,12 +145,23 @@ app.get('/health', (req, res) => {
 app.use("/api/auth", authRouter);
 app.use("/api/admin/products", adminProductsRouter);
 app.use("/api/admin/orders", adminOrderRouter);
+app.use("/api/admin/returns", adminReturnRouter);
+app.use("/api/admin/production", adminProductionRouter);
+app.use("/api/admin/appointments", adminAppointmentRouter);
+app.use("/api/admin/calendar", adminCalendarRouter);
+app.use("/api/admin/coupons", adminCouponRouter);
+app.use("/api/admin/shipping", adminShippingRouter);
+app.use("/api/admin/tax-classes", adminTaxRouter);
+app.use("/api/admin/sessions", adminSessionRouter);
 app.use("/api/shop/products", shopProductsRouter);
 app.use("/api/shop/cart", shopCartRouter);
 app.use("/api/shop/address", shopAddressRouter);
 app.use("/api/shop/order", shopOrderRouter);
 app.use("/api/shop/search", shopSearchRouter);
 app.use("/api/shop/review", shopReviewRouter);
+app.use("/api/shop/returns", shopReturnRouter);
+app.use("/api/shop/measurements", shopMeasurementRouter);
+app.use("/api/shop/appointments", shopAppointmentRouter);
 app.use("/api/common/feature", commonFeatureRouter);
 
 // Simple error handler
@@ -0,0 +1,260 @@
+const Appointment = require("../../models/Appointment");
+const AppointmentSlot = require("../../models/AppointmentSlot");
+const User = require("../../models/User");
+const { getDayRange, closeAppointment } = require("../../helpers/appointments");
+
+const SLOT_MODES = ["in-store", "video"];
+
+// "10:30" Indian time on the day starting at dayStart, or null. India has no
+// daylight saving, so every day is the same length.
+function atTime(dayStart, time) {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(time || ""));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return new Date(dayStart.getTime() + minutes * 60 * 1000);
+}
+
+// Body: { date: "2026-11-02", mode, capacity, times: [{ start: "10:00", end: "10:45" }] }
+const createAppointmentSlots = async (req, res) => {
+  try {
+    const { date, mode, capacity, times, notes } = req.body;
+    const day = getDayRange(date);
+    const seats = parseInt(capacity);
+
+    if (!day || !SLOT_MODES.includes(mode) || isNaN(seats) || seats < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `A date (YYYY-MM-DD), mode (${SLOT_MODES.join(" or ")}) and capacity are required`,
+      });
+    }
+
+    if (!Array.isArray(times) || times.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add at least one time window",
+      });
+    }
+
+    const slots = [];
+    for (const time of times) {
+      const startsAt = atTime(day.start, time?.start);
+      const endsAt = atTime(day.start, time?.end);
+
+      if (!startsAt || !endsAt || endsAt <= startsAt) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid time window ${time?.start}-${time?.end}`,
+        });
+      }
+      if (startsAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Slots must start in the future",
+        });
+      }
+
+      slots.push({ startsAt, endsAt, mode, capacity: seats, notes });
+    }
+
+    const existing = await AppointmentSlot.find({
+      mode,
+      startsAt: { $in: slots.map((slot) => slot.startsAt) },
+    }).lean();
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${mode} slot already starts at ${existing[0].startsAt.toLocaleTimeString("en-IN", { timeZone: "Asia/Kolkata" })}`,
+      });
+    }
+
+    const createdSlots = await AppointmentSlot.insertMany(slots);
+
+    res.status(201).json({
+      success: true,
+      data: createdSlots,
+      message: `${createdSlots.length} slot(s) created`,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Capacity can grow or shrink, but never below the seats already booked
+const updateAppointmentSlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { capacity, closed, notes } = req.body;
+
+    const update = {};
+    const filter = { _id: id };
+
+    if (capacity !== undefined) {
+      const seats = parseInt(capacity);
+      if (isNaN(seats) || seats < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Capacity must be at least 1",
+        });
+      }
+      update.capacity = seats;
+      filter.booked = { $lte: seats };
+    }
+    if (closed !== undefined) update.closed = Boolean(closed);
+    if (notes !== undefined) update.notes = notes;
+
+    const slot = await AppointmentSlot.findOneAndUpdate(filter, { $set: update }, { new: true });
+
+    if (!slot) {
+      const exists = await AppointmentSlot.exists({ _id: id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "Capacity can't be lower than the seats already booked"
+          : "Appointment slot not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: slot,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Only empty slots can be deleted; close a slot to stop new bookings instead
+const deleteAppointmentSlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const slot = await AppointmentSlot.findOneAndDelete({ _id: id, booked: 0 });
+
+    if (!slot) {
+      const exists = await AppointmentSlot.exists({ _id: id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "This slot has bookings. Close it instead."
+          : "Appointment slot not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment slot deleted",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Every slot of the day with its bookings and the customers' names
+const getDaySchedule = async (req, res) => {
+  try {
+    const { date } = req.query;
+    const day = getDayRange(date);
+
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: "A date in YYYY-MM-DD format is required",
+      });
+    }
+
+    const slots = await AppointmentSlot.find({
+      startsAt: { $gte: day.start, $lt: day.end },
+    })
+      .sort({ startsAt: 1 })
+      .lean();
+
+    const appointments = await Appointment.find({
+      slotId: { $in: slots.map((slot) => slot._id.toString()) },
+      status: { $ne: "cancelled" },
+    })
+      .select("-history")
+      .lean();
+
+    const customers = await User.find({
+      _id: { $in: [...new Set(appointments.map((appointment) => appointment.userId))] },
+    })
+      .select("userName email")
+      .lean();
+
+    const customerMap = new Map(customers.map((customer) => [customer._id.toString(), customer]));
+
+    const schedule = slots.map((slot) => ({
+      ...slot,
+      appointments: appointments
+        .filter((appointment) => appointment.slotId === slot._id.toString())
+        .map((appointment) => ({
+          ...appointment,
+          customer: customerMap.get(appointment.userId) || null,
+        })),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const updateAppointmentStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!["completed", "no-show", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be completed, no-show or cancelled",
+      });
+    }
+
+    const appointment = await closeAppointment(id, status, {
+      changedBy: req.user.id,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment updated!",
+      data: appointment,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  createAppointmentSlots,
+  updateAppointmentSlot,
+  deleteAppointmentSlot,
+  getDaySchedule,
+  updateAppointmentStatus,
+};
@@ -0,0 +1,87 @@
+const Holiday = require("../../models/Holiday");
+const { clearHolidayCache } = require("../../helpers/delivery-estimate");
+
+const DAY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const getHolidays = async (req, res) => {
+  try {
+    const { from } = req.query;
+
+    const filter = from && DAY_FORMAT.test(from) ? { date: { $gte: from } } : {};
+    const holidays = await Holiday.find(filter).sort({ date: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: holidays,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const addHoliday = async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!DAY_FORMAT.test(String(date || "")) || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "A date in YYYY-MM-DD format is required",
+      });
+    }
+
+    const holiday = await Holiday.findOneAndUpdate(
+      { date },
+      { $set: { name } },
+      { new: true, upsert: true }
+    );
+
+    // New estimates should skip the day straight away
+    clearHolidayCache();
+
+    res.status(201).json({
+      success: true,
+      data: holiday,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const deleteHoliday = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await Holiday.findByIdAndDelete(id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found!",
+      });
+    }
+
+    clearHolidayCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday removed",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = { getHolidays, addHoliday, deleteHoliday };
@@ -0,0 +1,240 @@
+const Coupon = require("../../models/Coupon");
+const { COUPON_TYPES, normalizeCouponCode } = require("../../helpers/coupons");
+
+const EDITABLE_FIELDS = [
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minCartValue",
+  "categories",
+  "productIds",
+  "usageLimit",
+  "perUserLimit",
+  "validFrom",
+  "validUntil",
+  "firstOrderOnly",
+  "active",
+];
+
+function parseOptionalNumber(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+function parseOptionalDate(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? NaN : date;
+}
+
+function parseList(value) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(list.map((entry) => String(entry).trim()).filter(Boolean))];
+}
+
+// Picks the editable fields from the body. Returns { update } or { error }.
+function buildCouponUpdate(body) {
+  const update = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+
+  if (update.type !== undefined && !COUPON_TYPES.includes(update.type)) {
+    return { error: `Type must be one of: ${COUPON_TYPES.join(", ")}` };
+  }
+
+  for (const field of ["value", "maxDiscount", "minCartValue", "usageLimit", "perUserLimit"]) {
+    const parsed = parseOptionalNumber(update[field]);
+    if (Number.isNaN(parsed)) {
+      return { error: `${field} must be a number of at least 0` };
+    }
+    if (parsed !== undefined) update[field] = parsed;
+  }
+
+  for (const field of ["validFrom", "validUntil"]) {
+    const parsed = parseOptionalDate(update[field]);
+    if (Number.isNaN(parsed)) {
+      return { error: `${field} must be a valid date` };
+    }
+    if (parsed !== undefined) update[field] = parsed;
+  }
+
+  for (const field of ["categories", "productIds"]) {
+    const parsed = parseList(update[field]);
+    if (parsed !== undefined) update[field] = parsed;
+  }
+
+  for (const field of ["firstOrderOnly", "active"]) {
+    if (update[field] !== undefined) {
+      update[field] = update[field] === true || update[field] === "true";
+    }
+  }
+
+  return { update };
+}
+
+// Checks the coupon as it will be saved, after an edit is merged in
+function validateCoupon(coupon) {
+  if (!COUPON_TYPES.includes(coupon.type)) {
+    return `Type must be one of: ${COUPON_TYPES.join(", ")}`;
+  }
+  if (!(coupon.value > 0)) {
+    return "Value must be greater than 0";
+  }
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    return "A percentage discount can't be more than 100";
+  }
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return "validUntil must be after validFrom";
+  }
+  return null;
+}
+
+const getCoupons = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const filter = {};
+    if (active !== undefined) {
+      filter.active = active === "true";
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: coupons,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const addCoupon = async (req, res) => {
+  try {
+    const code = normalizeCouponCode(req.body.code);
+
+    if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+      return res.status(400).json({
+        success: false,
+        message: "Code must be 3-30 letters, numbers, dashes or underscores",
+      });
+    }
+
+    const { update, error } = buildCouponUpdate(req.body);
+    const validationError = error || validateCoupon(update);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const coupon = await Coupon.create({ ...update, code });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (e) {
+    console.log(e);
+    if (e.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A coupon with this code already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// The code can't change once created; usage counts are kept as they are
+const editCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findById(id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const { update, error } = buildCouponUpdate(req.body);
+    coupon.set(update);
+    const validationError = error || validateCoupon(coupon);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Only unused coupons can be deleted; deactivate a redeemed one instead
+const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findOneAndDelete({ _id: id, usedCount: 0 });
+
+    if (!coupon) {
+      const exists = await Coupon.exists({ _id: id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "This coupon has been redeemed. Deactivate it instead."
+          : "Coupon not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deleted",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  addCoupon,
+  editCoupon,
+  deleteCoupon,
+};
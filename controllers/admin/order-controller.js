@@ -1,4 +1,30 @@
 const Order = require("../../models/Order");
+const {
+  refundOrderPayment,
+  markOrderPaid,
+  cancelOrder,
+} = require("../../helpers/order-fulfillment");
+const {
+  ORDER_STATUSES,
+  STATUS_ACTORS,
+  isValidOrderStatus,
+  transitionOrderStatus,
+} = require("../../helpers/order-status");
+const { clearOrderCache } = require("../shop/order-controller");
+const { isInvoiceable, issueInvoice } = require("../../helpers/invoice");
+const { getIstDayRange } = require("../../helpers/ist");
+const { streamInvoicesPdf } = require("../../helpers/invoice-pdf");
+const { rescheduleProductionJobs } = require("../../helpers/production");
+
+const MAX_EXPORTED_INVOICES = 500;
+
+// Statuses only their own flow may set, since it moves stock and money too
+const STATUSES_SET_BY_FLOWS = Object.freeze({
+  [ORDER_STATUSES.CONFIRMED]:
+    "Orders are confirmed when their payment is captured, or at checkout for cash on delivery",
+  [ORDER_STATUSES.RETURNED]:
+    "Orders are marked returned when return requests covering every item are approved",
+});
 
 const getAllOrdersOfAllUsers = async (req, res) => {
   try {
@@ -53,7 +79,55 @@ const getOrderDetailsForAdmin = async (req, res) => {
 const updateOrderStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { orderStatus } = req.body;
+    const { orderStatus, note } = req.body;
+
+    if (!isValidOrderStatus(orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order status must be one of: ${Object.values(ORDER_STATUSES).join(", ")}`,
+      });
+    }
+
+    if (STATUSES_SET_BY_FLOWS[orderStatus]) {
+      return res.status(400).json({
+        success: false,
+        message: STATUSES_SET_BY_FLOWS[orderStatus],
+      });
+    }
+
+    const changeOptions = {
+      changedBy: req.user.id,
+      actor: STATUS_ACTORS.STAFF,
+      note,
+    };
+
+    // Cancelling also puts stock back and refunds the customer
+    const order = orderStatus === ORDER_STATUSES.CANCELLED
+      ? (await cancelOrder(id, changeOptions)).order
+      : await transitionOrderStatus(id, orderStatus, changeOptions);
+
+    // Customers should see the new status on their timeline straight away
+    clearOrderCache(order.userId, order._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: "Order status is updated successfully!",
+      data: order,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      code: e.code,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+const refundOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
 
     const order = await Order.findById(id);
 
@@ -64,11 +138,119 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    await Order.findByIdAndUpdate(id, { orderStatus });
+    const updatedOrder = await refundOrderPayment(order, { amount, reason });
+    clearOrderCache(order.userId, order._id.toString());
 
     res.status(200).json({
       success: true,
-      message: "Order status is updated successfully!",
+      message: "Refund issued successfully!",
+      data: updatedOrder,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+const markOrderAsPaid = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found!",
+      });
+    }
+
+    const updatedOrder = await markOrderPaid(order._id);
+    clearOrderCache(order.userId, order._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: "Order marked as paid!",
+      data: updatedOrder,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+// Staff promise dates by hand, e.g. after a fitting. Either date may be set.
+const overrideDeliveryDates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { dispatchDate, deliveryDate, note } = req.body;
+
+    if (dispatchDate === undefined && deliveryDate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "A dispatch or delivery date is required",
+      });
+    }
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found!",
+      });
+    }
+
+    const dates = {
+      dispatchDate: order.deliveryEstimate?.dispatchDate,
+      deliveryDate: order.deliveryEstimate?.deliveryDate,
+    };
+
+    for (const [field, value] of Object.entries({ dispatchDate, deliveryDate })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}`,
+        });
+      }
+      dates[field] = date;
+    }
+
+    if (dates.dispatchDate && dates.deliveryDate && dates.deliveryDate < dates.dispatchDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Delivery can't be before dispatch",
+      });
+    }
+
+    order.deliveryEstimate = {
+      ...dates,
+      overridden: true,
+      overriddenBy: req.user.id,
+      note,
+    };
+    order.orderUpdateDate = new Date();
+    await order.save();
+
+    // The workshop works to the promised dispatch date
+    if (dispatchDate !== undefined) {
+      await rescheduleProductionJobs(order._id, dates.dispatchDate);
+    }
+
+    clearOrderCache(order.userId, order._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: "Delivery dates updated!",
+      data: order,
     });
   } catch (e) {
     console.log(e);
@@ -79,8 +261,63 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+// One PDF with every invoiceable order placed in the date range, for accounting
+const exportInvoices = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    // Whole days in India, including all of the end day
+    const range = getIstDayRange(from, to);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid from and to dates (YYYY-MM-DD) are required",
+      });
+    }
+
+    const orders = await Order.find({ orderDate: { $gte: range.start, $lte: range.end } })
+      .sort({ orderDate: 1 })
+      .limit(MAX_EXPORTED_INVOICES + 1)
+      .lean();
+
+    if (orders.length > MAX_EXPORTED_INVOICES) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many orders in range. Export at most ${MAX_EXPORTED_INVOICES} at a time.`,
+      });
+    }
+
+    // Issued one at a time so numbers follow order date. Invoices already
+    // issued stay in the export even if the order has changed since.
+    const invoicedOrders = [];
+    for (const order of orders.filter((entry) => entry.invoice?.number || isInvoiceable(entry))) {
+      invoicedOrders.push(await issueInvoice(order._id));
+    }
+
+    if (invoicedOrders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No invoiceable orders in this range",
+      });
+    }
+
+    const filename = `invoices-${from}-to-${to}.pdf`.replace(/[^\w.-]/g, "_");
+    streamInvoicesPdf(res, invoicedOrders, filename);
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
 module.exports = {
   getAllOrdersOfAllUsers,
   getOrderDetailsForAdmin,
   updateOrderStatus,
+  refundOrder,
+  markOrderAsPaid,
+  overrideDeliveryDates,
+  exportInvoices,
 };
@@ -0,0 +1,362 @@
+const ProductionJob = require("../../models/ProductionJob");
+const Order = require("../../models/Order");
+const User = require("../../models/User");
+const {
+  ACTIVE_STAGES,
+  isValidProductionStage,
+  moveJobToStage,
+} = require("../../helpers/production");
+const { hasPermission, PERMISSIONS } = require("../../helpers/rbac");
+const { createHttpError } = require("../../helpers/http-error");
+const { clearOrderCache } = require("../shop/order-controller");
+
+// Production writers may update any job, tailors only the ones assigned to
+// them. Throws a 404 or 403 otherwise.
+async function checkCanUpdateJob(jobId, user) {
+  const job = await ProductionJob.findById(jobId).lean().select("tailor");
+
+  if (!job) {
+    throw createHttpError(404, "Production job not found!");
+  }
+
+  if (hasPermission(user.role, PERMISSIONS.PRODUCTION_WRITE)) return;
+
+  const assignedToUser = job.tailor?.userId && job.tailor.userId === String(user.id);
+  if (!assignedToUser || !hasPermission(user.role, PERMISSIONS.PRODUCTION_WRITE_OWN)) {
+    throw createHttpError(403, "You can only update jobs assigned to you");
+  }
+}
+
+const getAllProductionJobs = async (req, res) => {
+  try {
+    const { stage, tailorId, orderId, overdue, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    // Finished and cancelled work is hidden unless asked for
+    const filter = { stage: { $in: ACTIVE_STAGES } };
+    if (stage && stage !== "all") {
+      filter.stage = stage;
+    }
+    if (tailorId) {
+      filter["tailor.userId"] = tailorId === "unassigned" ? { $exists: false } : tailorId;
+    }
+    if (orderId) {
+      filter.orderId = orderId;
+    }
+    if (overdue === "true") {
+      filter.dueDate = { $lt: new Date() };
+    }
+
+    const [totalJobs, jobs] = await Promise.all([
+      ProductionJob.countDocuments(filter),
+      ProductionJob.find(filter)
+        .sort({ dueDate: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalJobs / limitNum),
+        totalJobs,
+        hasNext: pageNum < Math.ceil(totalJobs / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// The job plus the order line it is for, with options and measurements
+const getProductionJobDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await ProductionJob.findById(id).lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Production job not found!",
+      });
+    }
+
+    const order = await Order.findById(job.orderId)
+      .lean()
+      .select("cartItems orderStatus orderDate");
+    const orderItem = order?.cartItems.find(
+      (item) => item._id.toString() === job.orderItemId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job,
+        orderStatus: order?.orderStatus,
+        orderDate: order?.orderDate,
+        orderItem: orderItem || null,
+      },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const getWorkloadByStage = async (req, res) => {
+  try {
+    const counts = await ProductionJob.aggregate([
+      { $match: { stage: { $in: ACTIVE_STAGES } } },
+      {
+        $group: {
+          _id: "$stage",
+          jobs: { $sum: 1 },
+          pieces: { $sum: "$quantity" },
+          overdue: { $sum: { $cond: [{ $lt: ["$dueDate", new Date()] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    // Every stage in workshop order, including empty ones
+    const countsByStage = new Map(counts.map((count) => [count._id, count]));
+    const workload = ACTIVE_STAGES.map((stage) => ({
+      stage,
+      jobs: countsByStage.get(stage)?.jobs || 0,
+      pieces: countsByStage.get(stage)?.pieces || 0,
+      overdue: countsByStage.get(stage)?.overdue || 0,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: workload,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const getWorkloadByTailor = async (req, res) => {
+  try {
+    const counts = await ProductionJob.aggregate([
+      { $match: { stage: { $in: ACTIVE_STAGES } } },
+      {
+        $group: {
+          _id: { tailorId: "$tailor.userId", stage: "$stage" },
+          name: { $first: "$tailor.name" },
+          jobs: { $sum: 1 },
+          pieces: { $sum: "$quantity" },
+          overdue: { $sum: { $cond: [{ $lt: ["$dueDate", new Date()] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    // Unassigned jobs are grouped under tailorId null
+    const tailors = new Map();
+    counts.forEach((count) => {
+      const tailorId = count._id.tailorId || null;
+      const tailor = tailors.get(tailorId) || {
+        tailorId,
+        name: count.name || null,
+        jobs: 0,
+        pieces: 0,
+        overdue: 0,
+        stages: {},
+      };
+
+      tailor.jobs += count.jobs;
+      tailor.pieces += count.pieces;
+      tailor.overdue += count.overdue;
+      tailor.stages[count._id.stage] = count.jobs;
+      tailors.set(tailorId, tailor);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: [...tailors.values()].sort((a, b) => b.jobs - a.jobs),
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const updateProductionStage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { stage, note } = req.body;
+
+    if (!isValidProductionStage(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stage must be one of: ${ACTIVE_STAGES.join(", ")}, ready`,
+      });
+    }
+
+    await checkCanUpdateJob(id, req.user);
+
+    const { job, order } = await moveJobToStage(id, stage, {
+      changedBy: req.user.id,
+      note,
+    });
+
+    if (order) {
+      clearOrderCache(order.userId, order._id.toString());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Production stage updated!",
+      data: job,
+      orderStatus: order?.orderStatus,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+const assignProductionJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tailorId, dueDate } = req.body;
+
+    const update = {};
+
+    if (tailorId !== undefined) {
+      if (tailorId) {
+        const tailor = await User.findById(tailorId).lean().select("userName role");
+
+        if (!tailor || !hasPermission(tailor.role, PERMISSIONS.PRODUCTION_READ)) {
+          return res.status(400).json({
+            success: false,
+            message: "Jobs can only be assigned to workshop staff",
+          });
+        }
+
+        update.$set = { tailor: { userId: tailor._id.toString(), name: tailor.userName } };
+      } else {
+        update.$unset = { tailor: "" };
+      }
+    }
+
+    if (dueDate !== undefined) {
+      const due = new Date(dueDate);
+      if (isNaN(due.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "A valid due date is required",
+        });
+      }
+      update.$set = { ...update.$set, dueDate: due };
+    }
+
+    if (!update.$set && !update.$unset) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update",
+      });
+    }
+
+    const job = await ProductionJob.findOneAndUpdate(
+      { _id: id, stage: { $in: ACTIVE_STAGES } },
+      update,
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Active production job not found!",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Production job updated!",
+      data: job,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const addProductionNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Note is required",
+      });
+    }
+
+    await checkCanUpdateJob(id, req.user);
+
+    const job = await ProductionJob.findByIdAndUpdate(
+      id,
+      {
+        $push: {
+          notes: { note: String(note).trim(), addedBy: req.user.id, addedAt: new Date() },
+        },
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Production job not found!",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getAllProductionJobs,
+  getProductionJobDetails,
+  getWorkloadByStage,
+  getWorkloadByTailor,
+  updateProductionStage,
+  assignProductionJob,
+  addProductionNote,
+};
@@ -1,6 +1,8 @@
 // controllers/admin/products-controller.js - UPDATED FOR MULTI-IMAGE SUPPORT 🔥
 const { imageUploadUtil, bufferToDataURI } = require("../../helpers/cloudinary");
 const Product = require("../../models/Product");
+const { sanitizeCustomizationGroups } = require("../../helpers/customizations");
+const { sanitizeVariants, getVariantsTotalStock } = require("../../helpers/variants");
 
 // Simple cache for admin operations
 const adminCache = new Map();
@@ -109,6 +111,18 @@ const handleImageUpload = async (req, res) => {
   }
 };
 
+// Blank means "use the default lead time"
+function parseLeadTimeDays(value) {
+  const days = parseInt(value);
+  return !isNaN(days) && days >= 0 ? days : undefined;
+}
+
+// Blank means "use the default weight" for shipping
+function parseWeightGrams(value) {
+  const grams = parseInt(value);
+  return !isNaN(grams) && grams > 0 ? grams : undefined;
+}
+
 const addProduct = async (req, res) => {
   try {
     let {
@@ -120,10 +134,20 @@ const addProduct = async (req, res) => {
       salePrice,
       totalStock,
       averageReview,
+      hsnCode,
+      taxClassId,
+      customizationGroups,
+      variants,
+      readyToShip,
+      leadTimeDays,
+      weightGrams,
     } = req.body;
 
+    // Variant products take their stock from the variants
+    const productVariants = variants ? sanitizeVariants(variants) : [];
+
     // Basic validation
-    if (!title || !category || !price || !totalStock) {
+    if (!title || !category || !price || (!totalStock && productVariants.length === 0)) {
       return res.status(400).json({
         success: false,
         message: "Title, category, price, and total stock are required",
@@ -179,8 +203,19 @@ const addProduct = async (req, res) => {
       category: category.trim(),
       price: parseFloat(price),
       salePrice: salePrice ? parseFloat(salePrice) : 0,
-      totalStock: parseInt(totalStock),
+      totalStock: productVariants.length > 0
+        ? getVariantsTotalStock(productVariants)
+        : parseInt(totalStock),
+      variants: productVariants,
+      readyToShip: readyToShip === true || readyToShip === "true",
+      leadTimeDays: parseLeadTimeDays(leadTimeDays),
+      weightGrams: parseWeightGrams(weightGrams),
       averageReview: averageReview ? parseFloat(averageReview) : 0,
+      hsnCode: hsnCode ? String(hsnCode).trim() : undefined,
+      taxClassId: taxClassId ? String(taxClassId) : undefined,
+      customizationGroups: customizationGroups
+        ? sanitizeCustomizationGroups(customizationGroups)
+        : [],
     });
 
     await newProduct.save();
@@ -194,10 +229,16 @@ const addProduct = async (req, res) => {
       message: `Product added successfully with ${productImages.length} image(s)`
     });
   } catch (e) {
+    if (e.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A variant SKU is already used by another product",
+      });
+    }
     console.error("Add Product Error:", e);
-    res.status(500).json({
+    res.status(e.status || 500).json({
       success: false,
-      message: "Error occurred while adding product",
+      message: e.status ? e.message : "Error occurred while adding product",
     });
   }
 };
@@ -230,7 +271,7 @@ const fetchAllProducts = async (req, res) => {
         .sort({ createdAt: -1 }) // Newest first
         .skip(skip)
         .limit(limitNum)
-        .select('title description category price salePrice totalStock averageReview image createdAt')
+        .select('title description category price salePrice totalStock averageReview image hsnCode taxClassId readyToShip leadTimeDays weightGrams variants customizationGroups createdAt')
     ]);
 
     // ✅ ENHANCED: Transform image data to ensure consistency
@@ -288,6 +329,13 @@ const editProduct = async (req, res) => {
       salePrice,
       totalStock,
       averageReview,
+      hsnCode,
+      taxClassId,
+      customizationGroups,
+      variants,
+      readyToShip,
+      leadTimeDays,
+      weightGrams,
     } = req.body;
 
     if (!id) {
@@ -343,10 +391,24 @@ const editProduct = async (req, res) => {
       const numSalePrice = parseFloat(salePrice);
       findProduct.salePrice = !isNaN(numSalePrice) ? numSalePrice : 0;
     }
-    if (totalStock !== undefined) {
+    if (variants !== undefined) {
+      findProduct.variants = sanitizeVariants(variants);
+    }
+    if (findProduct.variants.length > 0) {
+      // Stock is managed per variant
+      findProduct.totalStock = getVariantsTotalStock(findProduct.variants);
+    } else if (totalStock !== undefined) {
       const numStock = parseInt(totalStock);
       if (!isNaN(numStock) && numStock >= 0) findProduct.totalStock = numStock;
     }
+    if (readyToShip !== undefined) findProduct.readyToShip = readyToShip === true || readyToShip === "true";
+    if (leadTimeDays !== undefined) findProduct.leadTimeDays = parseLeadTimeDays(leadTimeDays);
+    if (weightGrams !== undefined) findProduct.weightGrams = parseWeightGrams(weightGrams);
+    if (hsnCode !== undefined) findProduct.hsnCode = String(hsnCode).trim() || undefined;
+    if (taxClassId !== undefined) findProduct.taxClassId = taxClassId ? String(taxClassId) : undefined;
+    if (customizationGroups !== undefined) {
+      findProduct.customizationGroups = sanitizeCustomizationGroups(customizationGroups);
+    }
     if (averageReview !== undefined) {
       const numReview = parseFloat(averageReview);
       if (!isNaN(numReview) && numReview >= 0 && numReview <= 5) {
@@ -372,10 +434,16 @@ const editProduct = async (req, res) => {
       message: `Product updated successfully with ${findProduct.image.length} image(s)`
     });
   } catch (e) {
+    if (e.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A variant SKU is already used by another product",
+      });
+    }
     console.error("editProduct error:", e);
-    res.status(500).json({
+    res.status(e.status || 500).json({
       success: false,
-      message: "Error occurred while updating product"
+      message: e.status ? e.message : "Error occurred while updating product"
     });
   }
 };
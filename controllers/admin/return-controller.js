@@ -0,0 +1,367 @@
+const mongoose = require("mongoose");
+const ReturnRequest = require("../../models/ReturnRequest");
+const Order = require("../../models/Order");
+const { decrementStock, restoreStock } = require("../../helpers/inventory");
+const { refundOrderPayment, getRefundableAmount } = require("../../helpers/order-fulfillment");
+const { addStoreCredit } = require("../../helpers/store-credit");
+const {
+  ORDER_STATUSES,
+  STATUS_ACTORS,
+  transitionOrderStatus,
+} = require("../../helpers/order-status");
+const { createHttpError } = require("../../helpers/http-error");
+const { clearOrderCache } = require("../shop/order-controller");
+
+// Moves a request between states atomically and appends to its history
+async function updateReturnStatus(id, fromStatuses, toStatus, { changedBy, note, set = {}, session } = {}) {
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses } },
+    {
+      $set: { ...set, status: toStatus },
+      $push: {
+        history: { status: toStatus, changedBy, note, changedAt: new Date() },
+      },
+    },
+    { new: true, session }
+  );
+
+  if (!returnRequest) {
+    const exists = await ReturnRequest.exists({ _id: id }).session(session || null);
+    throw exists
+      ? createHttpError(409, `Only ${fromStatuses.join(" or ")} requests can be ${toStatus}`)
+      : createHttpError(404, "Return request not found!");
+  }
+
+  return returnRequest;
+}
+
+function getReturnTotal(returnRequest) {
+  const total = returnRequest.items.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+// True when every unit of the order is covered by approved returns
+async function isOrderFullyReturned(order) {
+  const approvedReturns = await ReturnRequest.find({
+    orderId: order._id.toString(),
+    type: "return",
+    status: { $in: ["approved", "pickup-scheduled", "completed"] },
+  }).lean();
+
+  const returnedQuantities = new Map();
+  approvedReturns.forEach((returnRequest) => {
+    returnRequest.items.forEach((item) => {
+      returnedQuantities.set(
+        item.orderItemId,
+        (returnedQuantities.get(item.orderItemId) || 0) + item.quantity
+      );
+    });
+  });
+
+  return order.cartItems.every(
+    (item) => (returnedQuantities.get(item._id.toString()) || 0) >= item.quantity
+  );
+}
+
+async function approveExchange(id, changeOptions) {
+  const session = await mongoose.startSession();
+  let returnRequest;
+
+  try {
+    // Approval and the replacement stock hold succeed or fail together
+    await session.withTransaction(async () => {
+      returnRequest = await updateReturnStatus(id, ["requested"], "approved", {
+        ...changeOptions,
+        set: { replacementReserved: true },
+        session,
+      });
+
+      await decrementStock(
+        returnRequest.items.map((item) => ({
+          productId: item.replacementProductId || item.productId,
+          variantId: item.replacementVariantId,
+          title: item.title,
+          quantity: item.quantity,
+        })),
+        session
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return returnRequest;
+}
+
+async function approveReturn(id, changeOptions) {
+  let returnRequest = await updateReturnStatus(id, ["requested"], "approved", changeOptions);
+  const refundAmount = getReturnTotal(returnRequest);
+  const order = await Order.findById(returnRequest.orderId);
+
+  try {
+    // Refunds go back through the provider as far as the customer paid
+    // through it; what they paid with store credit comes back as credit
+    const providerAmount = returnRequest.resolution === "store-credit"
+      ? 0
+      : Math.min(refundAmount, Math.max(getRefundableAmount(order), 0));
+
+    if (providerAmount > 0) {
+      const refundedOrder = await refundOrderPayment(order, {
+        amount: providerAmount,
+        reason: `Return ${returnRequest._id}`,
+      });
+      const refund = refundedOrder.refunds[refundedOrder.refunds.length - 1];
+      returnRequest.refundId = refund.refundId;
+    }
+
+    const creditAmount = Math.round((refundAmount - providerAmount) * 100) / 100;
+    if (creditAmount > 0) {
+      await addStoreCredit(returnRequest.userId, creditAmount);
+      returnRequest.storeCreditAmount = creditAmount;
+    }
+
+    returnRequest.refundAmount = refundAmount;
+  } catch (error) {
+    // Put the request back so it can be approved again once fixed
+    await updateReturnStatus(id, ["approved"], "requested", {
+      changedBy: changeOptions.changedBy,
+      note: `Refund failed: ${error.message}`,
+    });
+    throw error;
+  }
+
+  await returnRequest.save();
+
+  if (await isOrderFullyReturned(order)) {
+    await transitionOrderStatus(order._id, ORDER_STATUSES.RETURNED, {
+      changedBy: changeOptions.changedBy,
+      actor: STATUS_ACTORS.STAFF,
+      note: "All items returned",
+    });
+  }
+
+  clearOrderCache(order.userId, order._id.toString());
+  return returnRequest;
+}
+
+const getAllReturnRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const filter = {};
+    if (status && status !== "all") {
+      filter.status = status;
+    }
+
+    const [totalRequests, returnRequests] = await Promise.all([
+      ReturnRequest.countDocuments(filter),
+      ReturnRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequests,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalRequests / limitNum),
+        totalRequests,
+        hasNext: pageNum < Math.ceil(totalRequests / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const getReturnRequestDetailsForAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const returnRequest = await ReturnRequest.findById(id).lean();
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found!",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const approveReturnRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const existing = await ReturnRequest.findById(id).lean();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found!",
+      });
+    }
+
+    const changeOptions = { changedBy: req.user.id, note };
+    const returnRequest = existing.type === "exchange"
+      ? await approveExchange(id, changeOptions)
+      : await approveReturn(id, changeOptions);
+
+    res.status(200).json({
+      success: true,
+      message: existing.type === "exchange"
+        ? "Exchange approved and replacement reserved!"
+        : "Return approved and refund issued!",
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      code: e.code,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+const rejectReturnRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject a request",
+      });
+    }
+
+    const returnRequest = await updateReturnStatus(id, ["requested"], "rejected", {
+      changedBy: req.user.id,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Return request rejected!",
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+const scheduleReturnPickup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledFor, notes } = req.body;
+
+    const pickupDate = new Date(scheduledFor);
+    if (!scheduledFor || isNaN(pickupDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid pickup date is required",
+      });
+    }
+
+    // Rescheduling an existing pickup is allowed
+    const returnRequest = await updateReturnStatus(
+      id,
+      ["approved", "pickup-scheduled"],
+      "pickup-scheduled",
+      {
+        changedBy: req.user.id,
+        note: notes,
+        set: { pickup: { scheduledFor: pickupDate, notes } },
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Pickup scheduled!",
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+// The returned pieces are back in the workshop and can be sold again
+const completeReturnRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const session = await mongoose.startSession();
+    let returnRequest;
+
+    try {
+      await session.withTransaction(async () => {
+        returnRequest = await updateReturnStatus(
+          id,
+          ["approved", "pickup-scheduled"],
+          "completed",
+          { changedBy: req.user.id, note, session }
+        );
+
+        await restoreStock(returnRequest.items, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Return completed!",
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getAllReturnRequests,
+  getReturnRequestDetailsForAdmin,
+  approveReturnRequest,
+  rejectReturnRequest,
+  scheduleReturnPickup,
+  completeReturnRequest,
+};
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const {
+  listActiveSessions,
+  revokeUserSession,
+  revokeAllSessions,
+} = require("../../helpers/sessions");
+
+const getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).lean().select("userName email role")
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await listActiveSessions(userId);
+
+    res.status(200).json({
+      success: true,
+      data: { user, sessions },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const revokeUserSessionByStaff = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await revokeUserSession(userId, sessionId, `revoked-by-staff:${req.user.id}`)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const revoked = await revokeAllSessions(userId, `revoked-by-staff:${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getUserSessions,
+  revokeUserSessionByStaff,
+  revokeAllUserSessions,
+};
@@ -0,0 +1,217 @@
+const ShippingZone = require("../../models/ShippingZone");
+const { clearShippingZoneCache } = require("../../helpers/shipping");
+
+function parseOptionalNumber(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+function parsePrefixes(value) {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(list.map((entry) => String(entry).trim()).filter(Boolean))];
+}
+
+// Picks the zone fields from the body. Returns { update } or { error }.
+function buildZoneUpdate(body) {
+  const update = {};
+
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return { error: "Zone name is required" };
+    update.name = String(body.name).trim();
+  }
+
+  if (body.pincodePrefixes !== undefined) {
+    update.pincodePrefixes = parsePrefixes(body.pincodePrefixes);
+    if (update.pincodePrefixes.some((prefix) => !/^\d{1,6}$/.test(prefix))) {
+      return { error: "Pincode prefixes must be 1-6 digits" };
+    }
+  }
+
+  if (body.pincodeRanges !== undefined) {
+    if (!Array.isArray(body.pincodeRanges)) return { error: "pincodeRanges must be a list" };
+    update.pincodeRanges = body.pincodeRanges.map((range) => ({
+      from: String(range?.from || "").trim(),
+      to: String(range?.to || "").trim(),
+    }));
+    const invalidRange = update.pincodeRanges.find(
+      (range) => !/^\d{6}$/.test(range.from) || !/^\d{6}$/.test(range.to) || range.from > range.to
+    );
+    if (invalidRange) {
+      return { error: `Invalid pincode range ${invalidRange.from}-${invalidRange.to}` };
+    }
+  }
+
+  if (body.rates !== undefined) {
+    if (!Array.isArray(body.rates) || body.rates.length === 0) {
+      return { error: "Add at least one rate" };
+    }
+    update.rates = [];
+    for (const rate of body.rates) {
+      const parsed = {
+        maxWeightGrams: parseOptionalNumber(rate?.maxWeightGrams) ?? undefined,
+        maxOrderValue: parseOptionalNumber(rate?.maxOrderValue) ?? undefined,
+        charge: parseOptionalNumber(rate?.charge),
+      };
+      if (Object.values(parsed).some(Number.isNaN) || parsed.charge === null || parsed.charge === undefined) {
+        return { error: "Each rate needs a charge; limits must be numbers of at least 0" };
+      }
+      update.rates.push(parsed);
+    }
+  }
+
+  for (const field of ["priority", "extraChargePerKg", "freeShippingThreshold", "transitDays"]) {
+    const parsed = parseOptionalNumber(body[field]);
+    if (Number.isNaN(parsed)) {
+      return { error: `${field} must be a number of at least 0` };
+    }
+    if (parsed !== undefined) update[field] = parsed;
+  }
+
+  if (body.express !== undefined) {
+    const surcharge = parseOptionalNumber(body.express?.surcharge);
+    const transitDays = parseOptionalNumber(body.express?.transitDays);
+    if (Number.isNaN(surcharge) || Number.isNaN(transitDays)) {
+      return { error: "Express surcharge and transit days must be numbers of at least 0" };
+    }
+    update.express = {
+      available: body.express?.available === true || body.express?.available === "true",
+      surcharge: surcharge ?? 0,
+      transitDays: transitDays ?? undefined,
+    };
+  }
+
+  if (body.active !== undefined) {
+    update.active = body.active === true || body.active === "true";
+  }
+
+  return { update };
+}
+
+const getShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({}).sort({ priority: -1, name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: zones,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const addShippingZone = async (req, res) => {
+  try {
+    const { update, error } = buildZoneUpdate(req.body);
+
+    let validationError = error;
+    if (!validationError && !update.name) {
+      validationError = "Zone name is required";
+    }
+    if (!validationError && !update.pincodePrefixes?.length && !update.pincodeRanges?.length) {
+      validationError = "Add at least one pincode prefix or range";
+    }
+    if (!validationError && !update.rates) {
+      validationError = "Add at least one rate";
+    }
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const zone = await ShippingZone.create(update);
+    clearShippingZoneCache();
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const editShippingZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { update, error } = buildZoneUpdate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const zone = await ShippingZone.findByIdAndUpdate(id, { $set: update }, { new: true });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    clearShippingZoneCache();
+
+    res.status(200).json({
+      success: true,
+      data: zone,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Orders keep their own copy of the shipping line, so zones can go at any time
+const deleteShippingZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await ShippingZone.findByIdAndDelete(id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    clearShippingZoneCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone deleted",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getShippingZones,
+  addShippingZone,
+  editShippingZone,
+  deleteShippingZone,
+};
@@ -0,0 +1,210 @@
+const TaxClass = require("../../models/TaxClass");
+const Product = require("../../models/Product");
+const { clearTaxClassCache } = require("../../helpers/tax");
+
+// Returns { update } or { error } from the request body
+function buildTaxClassUpdate(body) {
+  const update = {};
+
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return { error: "Name is required" };
+    update.name = String(body.name).trim();
+  }
+
+  if (body.hsnCode !== undefined) {
+    update.hsnCode = String(body.hsnCode || "").trim() || undefined;
+  }
+
+  if (body.categories !== undefined) {
+    const categories = Array.isArray(body.categories)
+      ? body.categories
+      : String(body.categories).split(",");
+    update.categories = [...new Set(categories.map((entry) => String(entry).trim()).filter(Boolean))];
+  }
+
+  if (body.slabs !== undefined) {
+    if (!Array.isArray(body.slabs) || body.slabs.length === 0) {
+      return { error: "Add at least one slab" };
+    }
+
+    const slabs = body.slabs.map((slab) => ({
+      maxUnitValue:
+        slab?.maxUnitValue === undefined || slab?.maxUnitValue === null || slab?.maxUnitValue === ""
+          ? undefined
+          : Number(slab.maxUnitValue),
+      rate: Number(slab?.rate),
+    }));
+
+    const invalid = slabs.some(
+      (slab) =>
+        !Number.isFinite(slab.rate) || slab.rate < 0 || slab.rate > 100 ||
+        (slab.maxUnitValue !== undefined && !(slab.maxUnitValue > 0))
+    );
+    if (invalid) {
+      return { error: "Each slab needs a rate from 0 to 100 and an optional positive limit" };
+    }
+    if (slabs.filter((slab) => slab.maxUnitValue === undefined).length > 1) {
+      return { error: "Only one slab can be open-ended" };
+    }
+
+    update.slabs = slabs.sort(
+      (a, b) => (a.maxUnitValue ?? Infinity) - (b.maxUnitValue ?? Infinity)
+    );
+  }
+
+  if (body.isDefault !== undefined) {
+    update.isDefault = body.isDefault === true || body.isDefault === "true";
+  }
+
+  return { update };
+}
+
+// Only one class can be the default
+async function unsetOtherDefaults(taxClass) {
+  if (taxClass.isDefault) {
+    await TaxClass.updateMany(
+      { _id: { $ne: taxClass._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+}
+
+const getTaxClasses = async (req, res) => {
+  try {
+    const taxClasses = await TaxClass.find({}).sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: taxClasses,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+const addTaxClass = async (req, res) => {
+  try {
+    const { update, error } = buildTaxClassUpdate(req.body);
+    const validationError = error ||
+      (!update.name ? "Name is required" : !update.slabs ? "Add at least one slab" : null);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const taxClass = await TaxClass.create(update);
+    await unsetOtherDefaults(taxClass);
+    clearTaxClassCache();
+
+    res.status(201).json({
+      success: true,
+      data: taxClass,
+    });
+  } catch (e) {
+    console.log(e);
+    if (e.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax class with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Placed orders keep the tax they were charged; edits apply to new carts
+const editTaxClass = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { update, error } = buildTaxClassUpdate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const taxClass = await TaxClass.findByIdAndUpdate(id, { $set: update }, { new: true });
+
+    if (!taxClass) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax class not found",
+      });
+    }
+
+    await unsetOtherDefaults(taxClass);
+    clearTaxClassCache();
+
+    res.status(200).json({
+      success: true,
+      data: taxClass,
+    });
+  } catch (e) {
+    console.log(e);
+    if (e.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A tax class with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+// Products must be moved to another class first
+const deleteTaxClass = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await Product.exists({ taxClassId: id })) {
+      return res.status(409).json({
+        success: false,
+        message: "Some products still use this tax class",
+      });
+    }
+
+    const taxClass = await TaxClass.findByIdAndDelete(id);
+
+    if (!taxClass) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax class not found",
+      });
+    }
+
+    clearTaxClassCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Tax class deleted",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = {
+  getTaxClasses,
+  addTaxClass,
+  editTaxClass,
+  deleteTaxClass,
+};
@@ -1,12 +1,37 @@
 // controllers/auth/auth-controller.js - NUCLEAR OPTIMIZATION MODE 🔥💀
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../../models/User");
+const {
+  TOKEN_PURPOSES,
+  TOKEN_TTL_MINUTES,
+  issueAccountToken,
+  consumeAccountToken,
+} = require("../../helpers/account-tokens");
+const { sendPasswordResetMail, sendVerificationMail } = require("../../helpers/account-mail");
+const {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkPasswordResetAllowed,
+} = require("../../helpers/login-throttle");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserSession,
+  listActiveSessions,
+  isSessionActive,
+} = require("../../helpers/sessions");
 
 // 🔥 PRE-COMPILED EVERYTHING
 const JWT_SECRET = process.env.JWT_SECRET;
+// Access tokens are short-lived; clients renew them with the refresh token
 const JWT_OPTIONS_PRECOMPILED = Object.freeze({
-  expiresIn: "7d",
+  expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
   issuer: "darziescouture",
   audience: "darziescouture-users",
   algorithm: 'HS256'
@@ -43,16 +68,88 @@ function setCached(email, userData, passwordHash = null) {
   }
 }
 
-function generateJWTFast(user) {
+// `sid` ties the token to its session so revoking the session ends it
+function generateJWTFast(user, sessionId) {
   return jwt.sign({
     id: user._id,
     email: user.email,
     userName: user.userName,
     role: user.role,
+    sid: sessionId,
   }, JWT_SECRET, JWT_OPTIONS_PRECOMPILED);
 }
 
-const BCRYPT_ROUNDS = 8; // YOLO - from 12 to 8 saves ~200ms
+const JWT_VERIFY_OPTIONS = Object.freeze({
+  issuer: "darziescouture",
+  audience: "darziescouture-users"
+});
+
+function getClientInfo(req) {
+  return { userAgent: req.get("user-agent"), ip: req.ip };
+}
+
+function toUserResponse(user) {
+  return {
+    email: user.email,
+    role: user.role,
+    id: user._id,
+    userName: user.userName,
+    emailVerified: Boolean(user.emailVerified),
+  };
+}
+
+// Older hashes were made with 8 rounds; they are upgraded on the next login
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+
+// Compared against when the email is unknown, so those logins take as long
+// as a wrong password
+let dummyHashPromise = null;
+function getDummyHash() {
+  if (!dummyHashPromise) {
+    dummyHashPromise = bcrypt.hash("not-a-real-password", BCRYPT_ROUNDS);
+  }
+  return dummyHashPromise;
+}
+
+// Rehashes at the current cost after a successful login. Resolves to the new
+// hash, or null when none was needed or the password changed meanwhile.
+async function upgradePasswordHash(userId, password, currentHash) {
+  try {
+    if (bcrypt.getRounds(currentHash) >= BCRYPT_ROUNDS) return null;
+
+    const newHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await User.updateOne(
+      { _id: userId, password: currentHash },
+      { $set: { password: newHash } }
+    );
+    return result.modifiedCount > 0 ? newHash : null;
+  } catch (error) {
+    // The old hash still works, so don't fail the login over it
+    console.error("💥 Password hash upgrade error:", error);
+    return null;
+  }
+}
+
+// REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true blocks checkout until the customer
+// has verified their email. Accounts from before verification start unverified.
+const REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT =
+  process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === "true";
+
+function clearCachedLogin(email) {
+  loginCache.delete(email);
+  passwordCache.delete(email);
+}
+
+// A lost verification mail shouldn't fail the request; the customer can ask
+// for another one
+async function sendVerificationLink(user) {
+  try {
+    const token = await issueAccountToken(user._id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    await sendVerificationMail(user, token);
+  } catch (error) {
+    console.error("💥 Verification mail error:", error);
+  }
+}
 
 const registerUser = async (req, res) => {
   try {
@@ -104,10 +201,11 @@ const registerUser = async (req, res) => {
     });
 
     await newUser.save();
+    await sendVerificationLink(newUser);
 
     res.status(201).json({
       success: true,
-      message: "Registration successful!",
+      message: "Registration successful! Check your email to verify your address.",
     });
   } catch (error) {
     console.error("💥 Registration error:", error);
@@ -132,66 +230,77 @@ const loginUser = async (req, res) => {
     }
 
     const normalizedEmail = email.toLowerCase();
+    const attempt = { email: normalizedEmail, ...getClientInfo(req) };
+
+    await checkLoginAllowed(attempt);
+    // Counted before the slow password check so a burst can't outrun it
+    const attemptCounts = await recordLoginAttempt(attempt);
 
     let user = getCached(normalizedEmail);
     let cachedPassword = passwordCache.get(normalizedEmail);
     let fromCache = false;
+    let passwordHash;
 
     if (user && cachedPassword && Date.now() < cachedPassword.expiry) {
       fromCache = true;
-
-      // Fast password check with cached hash
-      const isValid = await bcrypt.compare(password, cachedPassword.data);
-      if (!isValid) {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid credentials",
-        });
-      }
+      passwordHash = cachedPassword.data;
     } else {
       const dbUser = await User.findOne({ email: normalizedEmail })
         .lean()
-        .select('userName email password role');
+        .select('userName email password role emailVerified');
 
       if (!dbUser) {
+        await bcrypt.compare(password, await getDummyHash());
+        await recordLoginFailure(attempt, "unknown-email", attemptCounts);
         return res.status(401).json({
           success: false,
           message: "Invalid credentials",
         });
       }
 
-      // Password check
-      const isValid = await bcrypt.compare(password, dbUser.password);
-      if (!isValid) {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid credentials",
-        });
-      }
-
-      // Aggressive caching
       user = {
         _id: dbUser._id,
         userName: dbUser.userName,
         email: dbUser.email,
-        role: dbUser.role
+        role: dbUser.role,
+        emailVerified: Boolean(dbUser.emailVerified)
       };
+      passwordHash = dbUser.password;
+    }
+
+    // Password check
+    const isValid = await bcrypt.compare(password, passwordHash);
+    if (!isValid) {
+      await recordLoginFailure(
+        { ...attempt, userId: String(user._id) },
+        "wrong-password",
+        attemptCounts
+      );
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    await recordLoginSuccess(attempt);
+
+    const upgradedHash = await upgradePasswordHash(user._id, password, passwordHash);
 
-      setCached(normalizedEmail, user, dbUser.password);
+    // Aggressive caching
+    if (!fromCache || upgradedHash) {
+      setCached(normalizedEmail, user, upgradedHash || passwordHash);
     }
 
-    const token = generateJWTFast(user);
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+    const token = generateJWTFast(user, session._id);
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
 
     res.json({
       success: true,
       message: "Logged in",
-      user: {
-        email: user.email,
-        role: user.role,
-        id: user._id,
-        userName: user.userName,
-      },
+      user: toUserResponse(user),
       token,
+      refreshToken,
       ...(process.env.NODE_ENV === 'development' && {
         timing: `${duration.toFixed(1)}ms`,
         cached: fromCache
@@ -199,6 +308,16 @@ const loginUser = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status === 429) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
+
     console.error("💥 Login error:", error);
     res.status(500).json({
       success: false,
@@ -207,13 +326,355 @@ const loginUser = async (req, res) => {
   }
 };
 
-const logoutUser = (req, res) => {
+// Ends the session of the access token, even an expired one, so the refresh
+// token stops working too
+const logoutUser = async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader?.startsWith('Bearer ')) {
+      const decoded = jwt.verify(authHeader.substring(7), JWT_SECRET, {
+        ...JWT_VERIFY_OPTIONS,
+        ignoreExpiration: true
+      });
+      if (decoded.sid) {
+        await revokeSession(decoded.sid, "logout");
+      }
+    }
+  } catch (error) {
+    // A bad token has nothing to log out of
+  }
+
   res.json({
     success: true,
     message: "Logged out successfully!",
   });
 };
 
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, "logout-all");
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`,
+    });
+  } catch (error) {
+    console.error("💥 Logout everywhere error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Logout failed",
+    });
+  }
+};
+
+// Where the user is logged in; the session making the request is marked current
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id, req.user.sid);
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error("💥 List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not load sessions",
+    });
+  }
+};
+
+const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await revokeUserSession(req.user.id, sessionId, "revoked-by-user")
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("💥 Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not revoke session",
+    });
+  }
+};
+
+// Swaps a refresh token for a new access token and refresh token
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { session, refreshToken: nextRefreshToken } = await rotateRefreshToken(
+      refreshToken,
+      getClientInfo(req)
+    );
+
+    const user = await User.findById(session.userId)
+      .lean()
+      .select('userName email role emailVerified');
+
+    if (!user) {
+      await revokeSession(session._id, "user-deleted");
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      user: toUserResponse(user),
+      token: generateJWTFast(user, session._id),
+      refreshToken: nextRefreshToken,
+    });
+  } catch (error) {
+    if (!error.status) console.error("💥 Refresh error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : "Refresh failed",
+    });
+  }
+};
+
+// Signs out every device, then starts a new session for this one
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current and new password required",
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password too short",
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .lean()
+      .select('userName email password role emailVerified');
+
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { password: await bcrypt.hash(newPassword, BCRYPT_ROUNDS), passwordChangedAt: new Date() } }
+    );
+    clearCachedLogin(user.email);
+    await revokeAllSessions(user._id, "password-change");
+
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: "Password changed. Other devices have been logged out.",
+      user: toUserResponse(user),
+      token: generateJWTFast(user, session._id),
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("💥 Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Password change failed",
+    });
+  }
+};
+
+// Always answers the same way, so it can't be used to find out which emails
+// have accounts
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email required",
+      });
+    }
+
+    const normalizedEmail = String(email).toLowerCase();
+    await checkPasswordResetAllowed({ email: normalizedEmail, ip: req.ip });
+
+    const user = await User.findOne({ email: normalizedEmail })
+      .lean()
+      .select('userName email');
+
+    // Within the cooldown the link already sent stays the valid one
+    const token = user && await issueAccountToken(user._id, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (token) {
+      await sendPasswordResetMail(user, token, TOKEN_TTL_MINUTES[TOKEN_PURPOSES.PASSWORD_RESET]);
+    }
+
+    res.json({
+      success: true,
+      message: "If an account exists for this email, we've sent a reset link",
+    });
+  } catch (error) {
+    if (error.status === 429) {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: error.code,
+        message: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
+
+    console.error("💥 Password reset request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not send reset link",
+    });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password too short",
+      });
+    }
+
+    const accountToken = await consumeAccountToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    const hashPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Following the emailed link also proves the address
+    const user = await User.findByIdAndUpdate(
+      accountToken.userId,
+      {
+        $set: {
+          password: hashPassword,
+          passwordChangedAt: new Date(),
+          emailVerified: true,
+        },
+      },
+      { new: true }
+    ).lean().select('email');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This link is invalid or has expired",
+      });
+    }
+
+    clearCachedLogin(user.email);
+    await revokeAllSessions(accountToken.userId, "password-reset");
+
+    res.json({
+      success: true,
+      message: "Password updated. You can log in now.",
+    });
+  } catch (error) {
+    console.error("💥 Password reset error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Password reset failed",
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const accountToken = await consumeAccountToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+    const user = await User.findByIdAndUpdate(
+      accountToken.userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    ).lean().select('email');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This link is invalid or has expired",
+      });
+    }
+
+    clearCachedLogin(user.email);
+
+    res.json({
+      success: true,
+      message: "Email verified!",
+    });
+  } catch (error) {
+    console.error("💥 Email verification error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Email verification failed",
+    });
+  }
+};
+
+// For the logged-in user, when the first mail got lost or expired
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).lean().select('userName email emailVerified');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email already verified",
+      });
+    }
+
+    const token = await issueAccountToken(user._id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    await sendVerificationMail(user, token);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("💥 Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Could not send verification email",
+    });
+  }
+};
+
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -226,18 +687,21 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET, {
-      issuer: "darziescouture",
-      audience: "darziescouture-users"
-    });
+    const decoded = jwt.verify(token, JWT_SECRET, JWT_VERIFY_OPTIONS);
 
-    // Cache check first
-    let user = getCached(decoded.email);
-    if (!user) {
-      user = await User.findById(decoded.id).lean().select('userName email role');
-      if (user) setCached(user.email, user);
+    // Tokens from before sessions, or from a revoked session, are refused
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        code: "SESSION_REVOKED",
+        message: "Session expired",
+      });
     }
 
+    // Not from the login cache: a role change or removal has to apply on the
+    // next request, not when the cached entry runs out
+    const user = await User.findById(decoded.id).lean().select('role');
+
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -245,7 +709,8 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    req.user = decoded;
+    // Use the stored role so role changes apply without waiting for a new token
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (error) {
     res.status(401).json({
@@ -265,18 +730,20 @@ const checkAuthStatusMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET, {
-      issuer: "darziescouture",
-      audience: "darziescouture-users"
-    });
+    const decoded = jwt.verify(token, JWT_SECRET, JWT_VERIFY_OPTIONS);
+
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      req.user = null;
+      return next();
+    }
 
     let user = getCached(decoded.email);
     if (!user) {
-      user = await User.findById(decoded.id).lean().select('userName email role');
+      user = await User.findById(decoded.id).lean().select('userName email role emailVerified');
       if (user) setCached(user.email, user);
     }
 
-    req.user = user ? decoded : null;
+    req.user = user ? { ...decoded, emailVerified: Boolean(user.emailVerified) } : null;
     next();
   } catch (error) {
     req.user = null;
@@ -284,6 +751,33 @@ const checkAuthStatusMiddleware = async (req, res, next) => {
   }
 };
 
+// Use after requireOwnership; checks the customer the order is for, who may
+// not be the staff member placing it. Does nothing unless
+// REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT is set.
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT) return next();
+
+  try {
+    const user = await User.findById(req.body?.userId || req.user.id).lean().select('emailVerified');
+
+    if (!user?.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: "EMAIL_NOT_VERIFIED",
+        message: "Please verify your email before placing an order",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("💥 Email check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Auth failed",
+    });
+  }
+};
+
 setInterval(() => {
   const now = Date.now();
   let cleaned = 0;
@@ -310,6 +804,16 @@ module.exports = {
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllSessions,
+  getMySessions,
+  revokeMySession,
+  refreshSession,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   authMiddleware,
-  checkAuthStatusMiddleware
+  checkAuthStatusMiddleware,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -2,7 +2,7 @@ const Address = require("../../models/Address");
 
 const addAddress = async (req, res) => {
   try {
-    const { userId, address, city, pincode, phone, notes } = req.body;
+    const { userId, address, city, state, pincode, phone, notes } = req.body;
 
     if (!userId || !address || !city || !pincode || !phone || !notes) {
       return res.status(400).json({
@@ -15,6 +15,7 @@ const addAddress = async (req, res) => {
       userId,
       address,
       city,
+      state,
       pincode,
       notes,
       phone,
@@ -63,7 +64,9 @@ const fetchAllAddress = async (req, res) => {
 const editAddress = async (req, res) => {
   try {
     const { userId, addressId } = req.params;
-    const formData = req.body;
+    // An address can't be moved to another account
+    const formData = { ...req.body };
+    delete formData.userId;
 
     if (!userId || !addressId) {
       return res.status(400).json({
@@ -0,0 +1,211 @@
+// controllers/shop/appointment-controller.js - Customer fitting and consultation bookings
+const Appointment = require("../../models/Appointment");
+const AppointmentSlot = require("../../models/AppointmentSlot");
+const Order = require("../../models/Order");
+const Measurement = require("../../models/Measurement");
+const {
+  getDayRange,
+  bookAppointment,
+  rescheduleAppointment,
+  closeAppointment,
+} = require("../../helpers/appointments");
+
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Open slots with room left, from today for a week unless a range is given
+const getAvailableSlots = async (req, res) => {
+  try {
+    const { from, to, mode } = req.query;
+
+    const fromRange = from ? getDayRange(from) : null;
+    const toRange = to ? getDayRange(to) : null;
+
+    if ((from && !fromRange) || (to && !toRange)) {
+      return res.status(400).json({
+        success: false,
+        message: "Dates must be in YYYY-MM-DD format",
+      });
+    }
+
+    const rangeStart = new Date(Math.max(fromRange?.start.getTime() || 0, Date.now()));
+    const rangeEnd = toRange ? toRange.end : new Date(rangeStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (rangeEnd - rangeStart > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose a range of at most ${MAX_SLOT_RANGE_DAYS} days`,
+      });
+    }
+
+    const filter = {
+      startsAt: { $gt: rangeStart, $lt: rangeEnd },
+      closed: { $ne: true },
+      $expr: { $lt: ["$booked", "$capacity"] },
+    };
+    if (mode) {
+      filter.mode = mode;
+    }
+
+    const slots = await AppointmentSlot.find(filter)
+      .sort({ startsAt: 1 })
+      .select("startsAt endsAt mode capacity booked")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: slots.map(({ capacity, booked, ...slot }) => ({
+        ...slot,
+        seatsLeft: capacity - booked,
+      })),
+    });
+  } catch (e) {
+    console.error("getAvailableSlots error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch appointment slots",
+    });
+  }
+};
+
+const bookAppointmentForUser = async (req, res) => {
+  try {
+    const { userId, slotId, purpose, orderId, measurementId, notes } = req.body;
+
+    if (!slotId) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose a slot to book",
+      });
+    }
+
+    if (purpose && !["fitting", "consultation"].includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: "Purpose must be fitting or consultation",
+      });
+    }
+
+    // Links must point at the customer's own order and profile
+    const [orderExists, measurementExists] = await Promise.all([
+      orderId ? Order.exists({ _id: orderId, userId }) : true,
+      measurementId ? Measurement.exists({ _id: measurementId, userId }) : true,
+    ]);
+
+    if (!orderExists || !measurementExists) {
+      return res.status(404).json({
+        success: false,
+        message: orderExists ? "Measurement profile not found" : "Order not found",
+      });
+    }
+
+    const appointment = await bookAppointment({
+      userId,
+      slotId,
+      purpose,
+      orderId,
+      measurementId,
+      notes,
+      changedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: appointment,
+      message: "Appointment booked",
+    });
+  } catch (e) {
+    console.error("bookAppointmentForUser error:", e);
+    res.status(e.status || 500).json({
+      success: false,
+      code: e.code,
+      message: e.status ? e.message : "Failed to book appointment",
+    });
+  }
+};
+
+const getAppointmentsByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const appointments = await Appointment.find({ userId })
+      .sort({ startsAt: -1 })
+      .select("-history")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: appointments,
+    });
+  } catch (e) {
+    console.error("getAppointmentsByUser error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch appointments",
+    });
+  }
+};
+
+const rescheduleAppointmentForUser = async (req, res) => {
+  try {
+    const { userId, appointmentId } = req.params;
+    const { slotId } = req.body;
+
+    if (!slotId) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose a new slot",
+      });
+    }
+
+    const appointment = await rescheduleAppointment(appointmentId, slotId, {
+      userId,
+      changedBy: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: "Appointment rescheduled",
+    });
+  } catch (e) {
+    console.error("rescheduleAppointmentForUser error:", e);
+    res.status(e.status || 500).json({
+      success: false,
+      code: e.code,
+      message: e.status ? e.message : "Failed to reschedule appointment",
+    });
+  }
+};
+
+const cancelAppointmentForUser = async (req, res) => {
+  try {
+    const { userId, appointmentId } = req.params;
+    const { note } = req.body;
+
+    const appointment = await closeAppointment(appointmentId, "cancelled", {
+      userId,
+      changedBy: req.user.id,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: "Appointment cancelled",
+    });
+  } catch (e) {
+    console.error("cancelAppointmentForUser error:", e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Failed to cancel appointment",
+    });
+  }
+};
+
+module.exports = {
+  getAvailableSlots,
+  bookAppointmentForUser,
+  getAppointmentsByUser,
+  rescheduleAppointmentForUser,
+  cancelAppointmentForUser,
+};
@@ -1,6 +1,26 @@
 // controllers/shop/cart-controller.js - FIXED VERSION
 const Cart = require("../../models/Cart");
 const Product = require("../../models/Product");
+const Measurement = require("../../models/Measurement");
+const Address = require("../../models/Address");
+const { buildMeasurementSnapshot } = require("../../helpers/measurements");
+const {
+  resolveSelectedOptions,
+  getOptionsKey,
+  describeSelectedOptions,
+  getOptionsPriceDelta,
+} = require("../../helpers/customizations");
+const {
+  hasVariants,
+  findVariant,
+  getBasePrice,
+  getStockStatus,
+  buildVariantSummary,
+} = require("../../helpers/variants");
+const { getDispatchDays, estimateDelivery } = require("../../helpers/delivery-estimate");
+const { normalizeCouponCode, evaluateCoupon } = require("../../helpers/coupons");
+const { quoteShipping } = require("../../helpers/shipping");
+const { calculateLineTaxes, sumTaxes } = require("../../helpers/tax");
 const { ObjectId } = require('mongoose').Types;
 
 // Simple in-memory cache for cart data
@@ -32,6 +52,45 @@ function isValidObjectId(id) {
   return id && ObjectId.isValid(id) && String(new ObjectId(id)) === String(id);
 }
 
+// A cart line is one variant of a product with one set of options, stitched
+// to one measurement profile (or none)
+function getCartLineKey({ productId, variantId, measurementId, options }) {
+  return `${productId}:${variantId || ""}:${measurementId || ""}:${getOptionsKey(options)}`;
+}
+
+// Lines are addressed by their own _id; product (+ variant and profile) is
+// the fallback for clients that predate customizations
+function findCartLineIndex(items, { itemId, productId, variantId, measurementId }) {
+  if (itemId) {
+    return items.findIndex((item) => item._id.toString() === String(itemId));
+  }
+
+  const matches = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) =>
+      item.productId.toString() === productId &&
+      String(item.variantId || "") === String(variantId || "") &&
+      String(item.measurementId || "") === String(measurementId || "")
+    );
+
+  // Ambiguous once the same product is in the cart with different options
+  return matches.length === 1 ? matches[0].index : -1;
+}
+
+// Quantity already in the cart drawing on the same stock: the product, or
+// one variant of it
+function getCartQuantityFromStock(items, productId, variantId, excludeIndex = -1) {
+  return items.reduce(
+    (total, item, index) =>
+      index !== excludeIndex &&
+      item.productId.toString() === productId &&
+      String(item.variantId || "") === String(variantId || "")
+        ? total + item.quantity
+        : total,
+    0
+  );
+}
+
 // ✅ FIXED: Better error handling and validation
 async function getOptimizedCartData(userId) {
   try {
@@ -88,7 +147,7 @@ async function getOptimizedCartData(userId) {
     // Get all product IDs and fetch in one query
     const products = await Product.find({ _id: { $in: validProductIds } })
       .lean()
-      .select('title price salePrice image totalStock');
+      .select('title price salePrice image category hsnCode taxClassId totalStock variants customizationGroups readyToShip leadTimeDays weightGrams');
 
     // Create a map for O(1) lookup
     const productMap = new Map();
@@ -96,6 +155,21 @@ async function getOptimizedCartData(userId) {
       productMap.set(product._id.toString(), product);
     });
 
+    const measurementIds = cart.items
+      .map(item => item.measurementId)
+      .filter(measurementId => measurementId && isValidObjectId(measurementId));
+
+    const measurements = measurementIds.length > 0
+      ? await Measurement.find({ _id: { $in: measurementIds }, userId: cart.userId.toString() })
+        .lean()
+        .select('name unit values notes revision')
+      : [];
+
+    const measurementMap = new Map();
+    measurements.forEach(measurement => {
+      measurementMap.set(measurement._id.toString(), measurement);
+    });
+
     // Build cart items with product data
     const populatedCartItems = cart.items
       .map((item) => {
@@ -111,34 +185,112 @@ async function getOptimizedCartData(userId) {
           return null; // Product might be deleted
         }
 
-        const effectivePrice = product.salePrice > 0 ? product.salePrice : product.price;
-        const itemTotal = effectivePrice * item.quantity;
+        const variant = findVariant(product, item.variantId);
+        // The variant was removed, or a size must now be chosen
+        const variantUnavailable = hasVariants(product) ? !variant : Boolean(item.variantId);
+        const availableStock = variantUnavailable ? 0 : variant ? variant.stock : product.totalStock;
+        const basePrice = getBasePrice(product, variant);
+        const selectedOptions = describeSelectedOptions(product, item.options || []);
+        const effectivePrice = basePrice + getOptionsPriceDelta(selectedOptions || []);
+        const itemTotal = Math.round(effectivePrice * item.quantity * 100) / 100;
 
         return {
+          _id: item._id,
           productId: product._id,
           image: Array.isArray(product.image) ? product.image[0] : product.image,
           title: product.title,
+          category: product.category,
           price: product.price,
           salePrice: product.salePrice,
           quantity: item.quantity,
-          totalStock: product.totalStock,
+          readyToShip: Boolean(product.readyToShip),
+          weightGrams: product.weightGrams,
+          dispatchDays: getDispatchDays(product),
+          // Stock of the chosen variant when the product has variants
+          totalStock: availableStock,
+          stockStatus: getStockStatus(availableStock),
+          variantId: item.variantId || null,
+          variant: buildVariantSummary(variant),
+          variantUnavailable,
           itemTotal,
-          effectivePrice
+          basePrice,
+          effectivePrice,
+          selectedOptions: selectedOptions || [],
+          // A chosen option was withdrawn; the customer must choose again
+          optionsUnavailable: selectedOptions === null,
+          measurementId: item.measurementId || null,
+          // null when the line has no profile or it has since been deleted
+          measurement: item.measurementId
+            ? buildMeasurementSnapshot(measurementMap.get(item.measurementId.toString()))
+            : null
         };
       })
       .filter(item => item !== null);
 
     // Calculate totals
-    const cartTotal = populatedCartItems.reduce((total, item) => total + item.itemTotal, 0);
+    const subtotal = populatedCartItems.reduce((total, item) => total + item.itemTotal, 0);
+
+    // An applied coupon stays on the cart while it no longer qualifies, so the
+    // customer can see why the discount went away
+    let coupon = null;
+    let couponError = null;
+    let discount = 0;
+    if (cart.couponCode && populatedCartItems.length > 0) {
+      try {
+        const evaluation = await evaluateCoupon(cart.couponCode, cart.userId, populatedCartItems);
+        discount = evaluation.discount;
+        coupon = {
+          couponId: evaluation.coupon._id,
+          code: evaluation.coupon.code,
+          description: evaluation.coupon.description,
+          type: evaluation.coupon.type,
+          value: evaluation.coupon.value,
+          discount,
+        };
+        populatedCartItems.forEach(item => {
+          item.discount = evaluation.lineDiscounts.get(item._id.toString()) || 0;
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        couponError = error.message;
+      }
+    }
+
+    const cartTotal = subtotal - discount;
+
+    // Prices include GST; each line shows the tax it carries after discounts
+    const lineTaxes = await calculateLineTaxes(
+      populatedCartItems.map(item => ({
+        product: productMap.get(item.productId.toString()),
+        quantity: item.quantity,
+        itemTotal: item.itemTotal,
+        discount: item.discount,
+      }))
+    );
+    populatedCartItems.forEach((item, index) => {
+      Object.assign(item, lineTaxes[index]);
+    });
     const totalQuantity = populatedCartItems.reduce((total, item) => total + item.quantity, 0);
+    // The slowest item sets the dates, as the order ships together
+    const deliveryEstimate = await estimateDelivery(
+      populatedCartItems.map(item => productMap.get(item.productId.toString()))
+    );
 
     return {
       _id: cart._id,
       userId: cart.userId,
       items: populatedCartItems,
+      subtotal: Math.round(subtotal * 100) / 100,
+      couponCode: cart.couponCode || null,
+      coupon,
+      couponError,
+      discount,
       cartTotal: Math.round(cartTotal * 100) / 100, // Round to 2 decimal places
+      // Included in cartTotal, not added to it
+      tax: sumTaxes(lineTaxes),
       itemCount: populatedCartItems.length,
-      totalQuantity
+      totalQuantity,
+      deliveryEstimate
     };
   } catch (error) {
     console.error('getOptimizedCartData error:', error);
@@ -154,7 +306,7 @@ async function getOptimizedCartData(userId) {
 
 const addToCart = async (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
+    const { userId, productId, variantId, quantity, measurementId, options } = req.body;
 
     // ✅ FIXED: Validate inputs
     if (!userId || !productId || quantity <= 0) {
@@ -171,12 +323,29 @@ const addToCart = async (req, res) => {
       });
     }
 
+    if (measurementId && !isValidObjectId(measurementId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid measurement ID format",
+      });
+    }
+
+    if (variantId && !isValidObjectId(variantId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid variant ID format",
+      });
+    }
+
     clearCachedCart(userId);
 
     // Simple product check
-    const product = await Product.findById(productId)
-      .lean()
-      .select('title price salePrice totalStock image');
+    const [product, measurementExists] = await Promise.all([
+      Product.findById(productId)
+        .lean()
+        .select('title price salePrice totalStock image variants customizationGroups'),
+      measurementId ? Measurement.exists({ _id: measurementId, userId }) : true,
+    ]);
 
     if (!product) {
       return res.status(404).json({
@@ -185,11 +354,37 @@ const addToCart = async (req, res) => {
       });
     }
 
+    if (!measurementExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Measurement profile not found",
+      });
+    }
+
+    const variant = findVariant(product, variantId);
+
+    if (hasVariants(product) && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: variantId ? "Variant not found" : "Please choose a size",
+      });
+    }
+
+    if (!hasVariants(product) && variantId) {
+      return res.status(400).json({
+        success: false,
+        message: "This product has no variants",
+      });
+    }
+
+    const selectedOptions = resolveSelectedOptions(product, options || []);
+    const availableStock = variant ? variant.stock : product.totalStock;
+
     // Check stock before cart operations
-    if (product.totalStock < quantity) {
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.totalStock} items available`,
+        message: `Only ${availableStock} items available`,
       });
     }
 
@@ -201,26 +396,31 @@ const addToCart = async (req, res) => {
       cart = new Cart({ userId, items: [] });
     }
 
+    // Stock is shared by every line of this variant, whatever the profile
+    if (getCartQuantityFromStock(cart.items, productId, variantId) + quantity > availableStock) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot add more items. Only ${availableStock} available in stock`,
+      });
+    }
+
     // Find existing item in cart
-    const existingItemIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
-    );
+    const newLine = {
+      productId,
+      variantId: variant ? variantId : undefined,
+      quantity,
+      measurementId: measurementId || undefined,
+      options: selectedOptions,
+    };
+    const lineKey = getCartLineKey(newLine);
+    const existingItemIndex = cart.items.findIndex((item) => getCartLineKey(item) === lineKey);
 
     if (existingItemIndex > -1) {
       // Update existing item
-      const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-
-      if (newQuantity > product.totalStock) {
-        return res.status(400).json({
-          success: false,
-          message: `Cannot add more items. Only ${product.totalStock} available in stock`,
-        });
-      }
-
-      cart.items[existingItemIndex].quantity = newQuantity;
+      cart.items[existingItemIndex].quantity += quantity;
     } else {
       // Add new item
-      cart.items.push({ productId, quantity });
+      cart.items.push(newLine);
     }
 
     await cart.save();
@@ -236,9 +436,9 @@ const addToCart = async (req, res) => {
     });
   } catch (error) {
     console.error("addToCart error:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: "Error adding item to cart",
+      message: error.status ? error.message : "Error adding item to cart",
     });
   }
 };
@@ -291,7 +491,7 @@ const fetchCartItems = async (req, res) => {
 
 const updateCartItemQty = async (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
+    const { userId, productId, variantId, quantity, measurementId, itemId } = req.body;
 
     if (!userId || !productId || quantity <= 0) {
       return res.status(400).json({
@@ -313,7 +513,7 @@ const updateCartItemQty = async (req, res) => {
 
     // Check product stock in parallel with cart fetch
     const [product, cart] = await Promise.all([
-      Product.findById(productId).lean().select('totalStock title'),
+      Product.findById(productId).lean().select('totalStock title variants'),
       Cart.findOne({ userId })
     ]);
 
@@ -324,13 +524,6 @@ const updateCartItemQty = async (req, res) => {
       });
     }
 
-    if (quantity > product.totalStock) {
-      return res.status(400).json({
-        success: false,
-        message: `Only ${product.totalStock} items available in stock`,
-      });
-    }
-
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -338,17 +531,39 @@ const updateCartItemQty = async (req, res) => {
       });
     }
 
-    const findCurrentProductIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
-    );
+    const findCurrentProductIndex = findCartLineIndex(cart.items, {
+      itemId,
+      productId,
+      variantId,
+      measurementId,
+    });
 
-    if (findCurrentProductIndex === -1) {
+    if (
+      findCurrentProductIndex === -1 ||
+      cart.items[findCurrentProductIndex].productId.toString() !== productId
+    ) {
       return res.status(404).json({
         success: false,
         message: "Cart item not present!",
       });
     }
 
+    const lineVariantId = cart.items[findCurrentProductIndex].variantId;
+    const lineVariant = findVariant(product, lineVariantId);
+    const availableStock = lineVariant ? lineVariant.stock : lineVariantId ? 0 : product.totalStock;
+    const otherLinesQuantity = getCartQuantityFromStock(
+      cart.items,
+      productId,
+      lineVariantId,
+      findCurrentProductIndex
+    );
+    if (quantity + otherLinesQuantity > availableStock) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableStock} items available in stock`,
+      });
+    }
+
     cart.items[findCurrentProductIndex].quantity = quantity;
     await cart.save();
 
@@ -372,6 +587,7 @@ const updateCartItemQty = async (req, res) => {
 const deleteCartItem = async (req, res) => {
   try {
     const { userId, productId } = req.params;
+    const { variantId, measurementId, itemId } = req.query;
 
     if (!userId || !productId) {
       return res.status(400).json({
@@ -401,18 +617,17 @@ const deleteCartItem = async (req, res) => {
     }
 
     // Remove item from cart
-    const originalLength = cart.items.length;
-    cart.items = cart.items.filter(
-      (item) => item.productId.toString() !== productId
-    );
+    const itemIndex = findCartLineIndex(cart.items, { itemId, productId, variantId, measurementId });
 
-    if (cart.items.length === originalLength) {
+    if (itemIndex === -1 || cart.items[itemIndex].productId.toString() !== productId) {
       return res.status(404).json({
         success: false,
         message: "Item not found in cart",
       });
     }
 
+    cart.items.splice(itemIndex, 1);
+
     await cart.save();
 
     // Use consistent function
@@ -433,6 +648,161 @@ const deleteCartItem = async (req, res) => {
   }
 };
 
+const applyCoupon = async (req, res) => {
+  try {
+    const { userId, code } = req.body;
+    const couponCode = normalizeCouponCode(code);
+
+    if (!userId || !couponCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Enter a coupon code",
+      });
+    }
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    clearCachedCart(userId);
+
+    const cartData = await getOptimizedCartData(userId);
+
+    if (!cartData._id || cartData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add items to your cart before applying a coupon",
+      });
+    }
+
+    // Throws when the coupon doesn't apply, leaving the cart untouched
+    await evaluateCoupon(couponCode, userId, cartData.items);
+
+    await Cart.updateOne({ _id: cartData._id }, { $set: { couponCode } });
+
+    const updatedCartData = await getOptimizedCartData(userId);
+    setCachedCart(userId, updatedCartData);
+
+    res.status(200).json({
+      success: true,
+      data: updatedCartData,
+      message: "Coupon applied",
+    });
+  } catch (error) {
+    console.error("applyCoupon error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : "Error applying coupon",
+    });
+  }
+};
+
+const removeCoupon = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    clearCachedCart(userId);
+
+    const cart = await Cart.findOneAndUpdate(
+      { userId },
+      { $unset: { couponCode: "" } },
+      { new: true }
+    );
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found!",
+      });
+    }
+
+    const cartData = await getOptimizedCartData(userId);
+    setCachedCart(userId, cartData);
+
+    res.status(200).json({
+      success: true,
+      data: cartData,
+      message: "Coupon removed",
+    });
+  } catch (error) {
+    console.error("removeCoupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing coupon",
+    });
+  }
+};
+
+// What each shipping method costs to one of the customer's addresses
+const getShippingQuote = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { addressId } = req.query;
+
+    if (!isValidObjectId(userId) || !isValidObjectId(addressId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID or address ID format",
+      });
+    }
+
+    const [cartData, address] = await Promise.all([
+      getOptimizedCartData(userId),
+      Address.findOne({ _id: addressId, userId }).lean(),
+    ]);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    if (cartData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const quote = await quoteShipping(cartData.items, cartData.cartTotal, address.pincode, {
+      dispatchDate: cartData.deliveryEstimate?.dispatchDate,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        addressId,
+        pincode: address.pincode,
+        cartTotal: cartData.cartTotal,
+        ...quote,
+        options: quote.options.map(option => ({
+          ...option,
+          total: Math.round((cartData.cartTotal + option.charge) * 100) / 100,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("getShippingQuote error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : "Error fetching shipping quote",
+    });
+  }
+};
+
 // Clean up expired cache entries every 5 minutes
 setInterval(() => {
   const now = Date.now();
@@ -444,8 +814,13 @@ setInterval(() => {
 }, 5 * 60 * 1000);
 
 module.exports = {
+  getOptimizedCartData,
+  getCartLineKey,
   addToCart,
   updateCartItemQty,
   deleteCartItem,
   fetchCartItems,
+  applyCoupon,
+  removeCoupon,
+  getShippingQuote,
 };
\ No newline at end of file
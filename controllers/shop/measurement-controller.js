@@ -0,0 +1,248 @@
+// controllers/shop/measurement-controller.js - Customer measurement profiles
+const Measurement = require("../../models/Measurement");
+const {
+  MEASUREMENT_UNITS,
+  MAX_PROFILES_PER_USER,
+  sanitizeMeasurementValues,
+} = require("../../helpers/measurements");
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+const addMeasurement = async (req, res) => {
+  try {
+    const { userId, name, unit, values, notes } = req.body;
+
+    if (!userId || !name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A profile name is required",
+      });
+    }
+
+    if (unit && !MEASUREMENT_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unit must be one of: ${MEASUREMENT_UNITS.join(", ")}`,
+      });
+    }
+
+    const { values: cleanValues, invalidFields } = sanitizeMeasurementValues(values);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid measurements: ${invalidFields.join(", ")}`,
+      });
+    }
+
+    const profileCount = await Measurement.countDocuments({ userId });
+    if (profileCount >= MAX_PROFILES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_PROFILES_PER_USER} measurement profiles`,
+      });
+    }
+
+    const measurement = new Measurement({
+      userId,
+      name: String(name).trim(),
+      unit,
+      values: cleanValues,
+      notes,
+    });
+
+    await measurement.save();
+
+    res.status(201).json({
+      success: true,
+      data: measurement,
+    });
+  } catch (e) {
+    if (isDuplicateKeyError(e)) {
+      return res.status(409).json({
+        success: false,
+        message: "A profile with this name already exists",
+      });
+    }
+    console.error("addMeasurement error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save measurements",
+    });
+  }
+};
+
+const fetchAllMeasurements = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // History is only needed on the details view
+    const measurements = await Measurement.find({ userId })
+      .select("-revisions")
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: measurements,
+    });
+  } catch (e) {
+    console.error("fetchAllMeasurements error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch measurements",
+    });
+  }
+};
+
+const getMeasurementDetails = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+
+    const measurement = await Measurement.findOne({ _id: measurementId, userId }).lean();
+
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: "Measurement profile not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: measurement,
+    });
+  } catch (e) {
+    console.error("getMeasurementDetails error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch measurements",
+    });
+  }
+};
+
+// Every edit keeps the previous version in `revisions`
+const editMeasurement = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+    const { name, unit, values, notes } = req.body;
+
+    if (unit !== undefined && !MEASUREMENT_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unit must be one of: ${MEASUREMENT_UNITS.join(", ")}`,
+      });
+    }
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A profile name is required",
+      });
+    }
+
+    const current = await Measurement.findOne({ _id: measurementId, userId }).lean();
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Measurement profile not found",
+      });
+    }
+
+    const update = {};
+    if (name !== undefined) update.name = String(name).trim();
+    if (unit !== undefined) update.unit = unit;
+    if (notes !== undefined) update.notes = notes;
+    if (values !== undefined) {
+      const { values: cleanValues, invalidFields } = sanitizeMeasurementValues(values);
+      if (invalidFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid measurements: ${invalidFields.join(", ")}`,
+        });
+      }
+      update.values = cleanValues;
+    }
+
+    // Matching on the revision we read makes a concurrent edit fail instead of
+    // silently dropping one of the two versions from the history
+    const measurement = await Measurement.findOneAndUpdate(
+      { _id: measurementId, userId, revision: current.revision },
+      {
+        $set: update,
+        $inc: { revision: 1 },
+        $push: {
+          revisions: {
+            revision: current.revision,
+            unit: current.unit,
+            values: current.values,
+            notes: current.notes,
+            changedAt: current.updatedAt,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!measurement) {
+      return res.status(409).json({
+        success: false,
+        message: "This profile was changed elsewhere. Please reload and try again.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: measurement,
+    });
+  } catch (e) {
+    if (isDuplicateKeyError(e)) {
+      return res.status(409).json({
+        success: false,
+        message: "A profile with this name already exists",
+      });
+    }
+    console.error("editMeasurement error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update measurements",
+    });
+  }
+};
+
+// Orders keep their own snapshot, so deleting a profile doesn't affect them
+const deleteMeasurement = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+
+    const measurement = await Measurement.findOneAndDelete({ _id: measurementId, userId });
+
+    if (!measurement) {
+      return res.status(404).json({
+        success: false,
+        message: "Measurement profile not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Measurement profile deleted",
+    });
+  } catch (e) {
+    console.error("deleteMeasurement error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete measurements",
+    });
+  }
+};
+
+module.exports = {
+  addMeasurement,
+  fetchAllMeasurements,
+  getMeasurementDetails,
+  editMeasurement,
+  deleteMeasurement,
+};
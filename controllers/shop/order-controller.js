@@ -1,8 +1,39 @@
 // controllers/shop/order-controller.js - ULTRA OPTIMIZED VERSION
-const paypal = require("../../helpers/paypal");
+const mongoose = require("mongoose");
 const Order = require("../../models/Order");
-const Cart = require("../../models/Cart");
-const Product = require("../../models/Product");
+const PaymentEvent = require("../../models/PaymentEvent");
+const Address = require("../../models/Address");
+const {
+  ORDER_STATUSES,
+  STATUS_ACTORS,
+  createStatusEntry,
+  buildStatusTimeline,
+  getStatusesBefore,
+} = require("../../helpers/order-status");
+const { getOptimizedCartData, getCartLineKey } = require("./cart-controller");
+const { canAccessUserResource, findOwnedOrder } = require("../../helpers/rbac");
+const { issueInvoice } = require("../../helpers/invoice");
+const { streamInvoicesPdf } = require("../../helpers/invoice-pdf");
+const { SHIPPING_METHODS, getShippingLine } = require("../../helpers/shipping");
+const { calculateShippingTax, sumTaxes } = require("../../helpers/tax");
+const { getAmountDue, getStoreCreditBalance } = require("../../helpers/store-credit");
+const {
+  settleCapturedPayment,
+  reserveOrderStock,
+  confirmStoreCreditOrder,
+  cancelOrder,
+  isPaymentSettled,
+} = require("../../helpers/order-fulfillment");
+const {
+  DEFAULT_PAYMENT_METHOD,
+  getPaymentProvider,
+  isPaymentMethodEnabled,
+} = require("../../helpers/payments");
+
+// Customers may cancel until the order reaches this status (stitching by default)
+const CANCELLABLE_BEFORE_STATUS =
+  process.env.ORDER_CANCELLABLE_BEFORE || ORDER_STATUSES.IN_STITCHING;
+const CUSTOMER_CANCELLABLE_STATUSES = getStatusesBefore(CANCELLABLE_BEFORE_STATUS);
 
 // Order cache
 const orderCache = new Map();
@@ -24,166 +55,329 @@ function setCachedOrder(key, data) {
   });
 }
 
-function clearOrderCache(userId) {
+function clearOrderCache(userId, orderId) {
   // Clear all cached orders for this user
   for (const [key] of orderCache.entries()) {
     if (key.includes(userId)) {
       orderCache.delete(key);
     }
   }
+
+  // Detail entries are keyed by order id only
+  if (orderId) {
+    orderCache.delete(`order_detail_${orderId}`);
+  }
+}
+
+// Compares what the client last saw against the server-built cart so we can
+// tell the customer their checkout is stale instead of silently charging more.
+// `payableTotal` is the cart total plus shipping.
+function isClientViewStale(cartData, clientItems, clientTotal, payableTotal) {
+  if (clientTotal !== undefined && clientTotal !== null) {
+    if (Math.abs(Number(clientTotal) - payableTotal) > 0.01) return true;
+  }
+
+  if (!Array.isArray(clientItems)) return false;
+  if (clientItems.length !== cartData.items.length) return true;
+
+  const serverItems = new Map();
+  cartData.items.forEach(item => {
+    serverItems.set(item._id.toString(), item);
+    serverItems.set(getCartLineKey({ ...item, options: item.selectedOptions }), item);
+  });
+
+  return clientItems.some(clientItem => {
+    const serverItem = clientItem._id
+      ? serverItems.get(String(clientItem._id))
+      : serverItems.get(getCartLineKey({
+        ...clientItem,
+        options: clientItem.selectedOptions || clientItem.options,
+      }));
+    if (!serverItem) return true;
+    if (Number(clientItem.quantity) !== serverItem.quantity) return true;
+    // The customer must confirm the measurements we will stitch to
+    if (
+      clientItem.measurementRevision !== undefined &&
+      Number(clientItem.measurementRevision) !== serverItem.measurement?.revision
+    ) {
+      return true;
+    }
+    return Math.abs(Number(clientItem.price) - serverItem.effectivePrice) > 0.01;
+  });
 }
 
 const createOrder = async (req, res) => {
   try {
     const {
       userId,
-      cartItems,
+      cartItems: clientCartItems,
       addressInfo,
-      orderStatus,
       paymentMethod,
-      paymentStatus,
-      totalAmount,
-      orderDate,
-      orderUpdateDate,
-      paymentId,
-      payerId,
-      cartId,
+      shippingMethod,
+      useStoreCredit,
+      totalAmount: clientTotalAmount,
     } = req.body;
 
     // Validate required fields
-    if (!userId || !cartItems || !addressInfo || !totalAmount) {
+    if (!userId || !addressInfo) {
       return res.status(400).json({
         success: false,
         message: "Missing required order information",
       });
     }
 
-    // Validate stock availability for all items in parallel
-    const productIds = cartItems.map(item => item.productId);
-    const products = await Product.find({ _id: { $in: productIds } })
-      .lean()
-      .select('totalStock title');
+    const selectedPaymentMethod = paymentMethod || DEFAULT_PAYMENT_METHOD;
+    if (!isPaymentMethodEnabled(selectedPaymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported payment method: ${selectedPaymentMethod}`,
+      });
+    }
 
-    const productMap = new Map();
-    products.forEach(product => {
-      productMap.set(product._id.toString(), product);
-    });
+    const selectedShippingMethod = shippingMethod || SHIPPING_METHODS.STANDARD;
+    if (!Object.values(SHIPPING_METHODS).includes(selectedShippingMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported shipping method: ${selectedShippingMethod}`,
+      });
+    }
+
+    // Rebuild the order from the stored cart - never trust client prices
+    const cartData = await getOptimizedCartData(userId);
 
-    // Check stock for each cart item
-    for (const item of cartItems) {
-      const product = productMap.get(item.productId);
-      if (!product) {
-        return res.status(404).json({
+    if (!cartData._id || cartData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const unavailableVariant = cartData.items.find((item) => item.variantUnavailable);
+    if (unavailableVariant) {
+      return res.status(400).json({
+        success: false,
+        message: `Please choose an available size for ${unavailableVariant.title}.`,
+      });
+    }
+
+    // Check stock per product or variant - several lines can share one
+    const requestedByStock = new Map();
+    for (const item of cartData.items) {
+      const stockKey = `${item.productId}:${item.variantId || ""}`;
+      const requested = (requestedByStock.get(stockKey) || 0) + item.quantity;
+      requestedByStock.set(stockKey, requested);
+
+      if (item.totalStock < requested) {
+        return res.status(400).json({
           success: false,
-          message: `Product ${item.title} not found`,
+          message: `Insufficient stock for ${item.title}. Only ${item.totalStock} available.`,
         });
       }
+    }
+
+    const withdrawnOptions = cartData.items.find((item) => item.optionsUnavailable);
+    if (withdrawnOptions) {
+      return res.status(400).json({
+        success: false,
+        message: `Some options for ${withdrawnOptions.title} are no longer available. Please choose again.`,
+      });
+    }
+
+    const missingProfile = cartData.items.find(
+      (item) => item.measurementId && !item.measurement
+    );
+    if (missingProfile) {
+      return res.status(400).json({
+        success: false,
+        message: `The measurement profile for ${missingProfile.title} no longer exists. Please choose another.`,
+      });
+    }
 
-      if (product.totalStock < item.quantity) {
+    // The coupon was re-checked when the cart was priced just now
+    if (cartData.couponError) {
+      return res.status(400).json({
+        success: false,
+        code: "COUPON_NOT_APPLICABLE",
+        message: `${cartData.couponError}. Remove the coupon to continue.`,
+      });
+    }
+
+    // A saved address is copied whole from the address book, so shipping,
+    // COD checks, the label and the invoice's place of supply all agree
+    let deliveryAddress = addressInfo;
+    if (addressInfo.addressId) {
+      const savedAddress = mongoose.isValidObjectId(addressInfo.addressId)
+        ? await Address.findOne({ _id: addressInfo.addressId, userId }).lean()
+        : null;
+      if (!savedAddress) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.title}. Only ${product.totalStock} available.`,
+          message: "Address not found",
         });
       }
+      deliveryAddress = {
+        addressId: savedAddress._id.toString(),
+        address: savedAddress.address,
+        city: savedAddress.city,
+        state: savedAddress.state,
+        pincode: savedAddress.pincode,
+        phone: savedAddress.phone,
+        notes: savedAddress.notes,
+      };
     }
 
-    // Create PayPal payment configuration
-    const create_payment_json = {
-      intent: "sale",
-      payer: {
-        payment_method: "paypal",
-      },
-      redirect_urls: {
-        return_url: process.env.NODE_ENV === 'production'
-          ? "https://darziescouture.com/shop/paypal-return"
-          : "http://localhost:5173/shop/paypal-return",
-        cancel_url: process.env.NODE_ENV === 'production'
-          ? "https://darziescouture.com/shop/paypal-cancel"
-          : "http://localhost:5173/shop/paypal-cancel",
-      },
-      transactions: [
-        {
-          item_list: {
-            items: cartItems.map((item) => ({
-              name: item.title,
-              sku: item.productId,
-              price: item.price.toFixed(2),
-              currency: "USD",
-              quantity: item.quantity,
-            })),
-          },
-          amount: {
-            currency: "USD",
-            total: totalAmount.toFixed(2),
-          },
-          description: `Order from Darzie's Couture - ${cartItems.length} items`,
-        },
+    const shipping = await getShippingLine(
+      cartData.items,
+      cartData.cartTotal,
+      deliveryAddress.pincode,
+      selectedShippingMethod,
+      { dispatchDate: cartData.deliveryEstimate?.dispatchDate }
+    );
+    const totalAmount = Math.round((cartData.cartTotal + shipping.charge) * 100) / 100;
+
+    if (isClientViewStale(cartData, clientCartItems, clientTotalAmount, totalAmount)) {
+      return res.status(409).json({
+        success: false,
+        code: "PRICE_CHANGED",
+        message: "Prices in your cart have changed. Please review your order and try again.",
+        data: cartData,
+      });
+    }
+
+    // Credit pays as much of the order as it can; the provider takes the rest
+    const storeCreditUsed = useStoreCredit === true || useStoreCredit === "true"
+      ? Math.min(await getStoreCreditBalance(userId), totalAmount)
+      : 0;
+
+    const cartItems = cartData.items.map((item) => ({
+      productId: item.productId.toString(),
+      variantId: item.variantId ? item.variantId.toString() : undefined,
+      sku: item.variant?.sku,
+      size: item.variant?.size,
+      color: item.variant?.color,
+      title: item.title,
+      image: item.image,
+      price: item.effectivePrice,
+      quantity: item.quantity,
+      readyToShip: item.readyToShip,
+      discount: item.discount || 0,
+      hsnCode: item.hsnCode,
+      gstRate: item.gstRate,
+      taxableValue: item.taxableValue,
+      tax: item.tax,
+      options: item.selectedOptions,
+      measurement: item.measurement || undefined,
+    }));
+    const shippingTax = calculateShippingTax(shipping.charge, cartItems);
+    const coupon = cartData.coupon
+      ? {
+        couponId: cartData.coupon.couponId.toString(),
+        code: cartData.coupon.code,
+        discount: cartData.coupon.discount,
+      }
+      : undefined;
+
+    const now = new Date();
+    // The chosen shipping method sets the transit time
+    const deliveryEstimate = cartData.deliveryEstimate
+      ? {
+        dispatchDate: cartData.deliveryEstimate.dispatchDate,
+        deliveryDate: shipping.deliveryDate || cartData.deliveryEstimate.deliveryDate,
+      }
+      : undefined;
+    const newlyCreatedOrder = new Order({
+      userId,
+      cartId: cartData._id.toString(),
+      cartItems,
+      addressInfo: deliveryAddress,
+      orderStatus: ORDER_STATUSES.PENDING,
+      statusHistory: [
+        createStatusEntry(ORDER_STATUSES.PENDING, {
+          changedBy: userId,
+          actor: STATUS_ACTORS.CUSTOMER,
+          note: "Order placed",
+        }),
       ],
-    };
+      paymentMethod: selectedPaymentMethod,
+      paymentStatus: "pending",
+      subtotal: cartData.subtotal,
+      coupon,
+      shipping: {
+        zoneId: shipping.zoneId,
+        zoneName: shipping.zoneName,
+        method: shipping.method,
+        weightGrams: shipping.weightGrams,
+        charge: shipping.charge,
+        freeShipping: shipping.freeShipping,
+        ...shippingTax,
+      },
+      tax: sumTaxes([...cartItems, shippingTax]),
+      totalAmount,
+      storeCreditUsed,
+      orderDate: now,
+      orderUpdateDate: now,
+      deliveryEstimate,
+    });
 
-    // Create PayPal payment
-    paypal.payment.create(create_payment_json, async (error, paymentInfo) => {
-      if (error) {
-        console.error("PayPal payment creation error:", error);
-        return res.status(500).json({
-          success: false,
-          message: "Payment processing failed. Please try again.",
-        });
-      } else {
-        // Create order in database
-        const newlyCreatedOrder = new Order({
-          userId,
-          cartId,
-          cartItems,
-          addressInfo,
-          orderStatus,
-          paymentMethod,
-          paymentStatus,
-          totalAmount,
-          orderDate,
-          orderUpdateDate,
-          paymentId,
-          payerId,
-        });
+    const provider = getPaymentProvider(selectedPaymentMethod);
+    const paidWithStoreCredit = getAmountDue(newlyCreatedOrder) <= 0;
+
+    if (provider.checkEligibility && !paidWithStoreCredit) {
+      provider.checkEligibility(newlyCreatedOrder);
+    }
 
-        await newlyCreatedOrder.save();
+    const payment = paidWithStoreCredit
+      ? { providerOrderId: null, response: {} }
+      : await provider.createPayment(newlyCreatedOrder);
 
-        // Clear user's order cache
-        clearOrderCache(userId);
+    newlyCreatedOrder.providerOrderId = payment.providerOrderId;
+    await newlyCreatedOrder.save();
 
-        const approvalURL = paymentInfo.links.find(
-          (link) => link.rel === "approval_url"
-        ).href;
+    // Clear user's order cache
+    clearOrderCache(userId);
+
+    // Pay-later orders, and those store credit covers, take their stock now
+    // rather than at capture
+    let placedOrder = newlyCreatedOrder;
+    if (paidWithStoreCredit) {
+      ({ order: placedOrder } = await confirmStoreCreditOrder(newlyCreatedOrder._id));
+    } else if (provider.confirmsOnCreate) {
+      ({ order: placedOrder } = await reserveOrderStock(newlyCreatedOrder._id));
+    }
 
-        res.status(201).json({
-          success: true,
-          approvalURL,
-          orderId: newlyCreatedOrder._id,
-          message: "Order created successfully"
-        });
-      }
+    res.status(201).json({
+      success: true,
+      ...payment.response,
+      orderId: placedOrder._id,
+      orderStatus: placedOrder.orderStatus,
+      paymentStatus: placedOrder.paymentStatus,
+      storeCreditUsed,
+      amountDue: getAmountDue(placedOrder),
+      message: "Order created successfully"
     });
   } catch (e) {
     console.error("createOrder error:", e);
-    res.status(500).json({
+    res.status(e.status && e.status < 500 ? e.status : 500).json({
       success: false,
-      message: "Failed to create order. Please try again.",
+      message: e.status && e.status < 500
+        ? e.message
+        : "Failed to create order. Please try again.",
     });
   }
 };
 
 const capturePayment = async (req, res) => {
   try {
-    const { paymentId, payerId, orderId } = req.body;
+    const { orderId } = req.body;
 
-    if (!paymentId || !payerId || !orderId) {
+    if (!orderId) {
       return res.status(400).json({
         success: false,
         message: "Missing payment information",
       });
     }
 
-    let order = await Order.findById(orderId);
+    const order = await findOwnedOrder(orderId, req.user);
 
     if (!order) {
       return res.status(404).json({
@@ -192,49 +386,239 @@ const capturePayment = async (req, res) => {
       });
     }
 
-    // Update order status
-    order.paymentStatus = "paid";
-    order.orderStatus = "confirmed";
-    order.paymentId = paymentId;
-    order.payerId = payerId;
+    if (isPaymentSettled(order)) {
+      return res.status(200).json({
+        success: true,
+        message: "Payment already captured",
+        data: order,
+      });
+    }
 
-    // Update product stock in parallel for better performance
-    const stockUpdates = order.cartItems.map(async (item) => {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        throw new Error(`Product ${item.title} not found`);
+    if (order.orderStatus !== ORDER_STATUSES.PENDING) {
+      return res.status(409).json({
+        success: false,
+        code: "ORDER_NOT_PENDING",
+        message: "This order is no longer awaiting payment",
+      });
+    }
+
+    const provider = getPaymentProvider(order.paymentMethod || "paypal");
+    const payment = await provider.capturePayment(order, req.body);
+
+    let result;
+    try {
+      result = await settleCapturedPayment(order._id, payment);
+    } finally {
+      // Clear user's order cache - a failed capture also changes the order
+      clearOrderCache(order.userId, order._id.toString());
+    }
+
+    const { order: capturedOrder, alreadyProcessed } = result;
+
+    res.status(200).json({
+      success: true,
+      message: alreadyProcessed
+        ? "Payment already captured"
+        : "Payment captured successfully",
+      data: capturedOrder,
+    });
+  } catch (e) {
+    console.error("capturePayment error:", e);
+    res.status(e.status || 500).json({
+      success: false,
+      code: e.code,
+      message: e.message || "Payment capture failed",
+    });
+  }
+};
+
+// Provider -> server notifications. Covers customers who pay and then close
+// the tab before the browser reaches /capture.
+const handlePaymentWebhook = async (req, res) => {
+  const providerName = req.params.provider;
+  let eventRecord = null;
+
+  try {
+    const provider = getPaymentProvider(providerName);
+
+    if (!provider || !req.rawBody) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown payment provider",
+      });
+    }
+
+    const event = await provider.verifyWebhook({
+      headers: req.headers,
+      rawBody: req.rawBody,
+    });
+
+    if (!event.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing event id",
+      });
+    }
+
+    // The unique index on (provider, eventId) is the dedupe lock
+    try {
+      eventRecord = await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(200).json({
+          success: true,
+          message: "Event already processed",
+        });
       }
+      throw error;
+    }
 
-      if (product.totalStock < item.quantity) {
-        throw new Error(`Insufficient stock for ${product.title}`);
+    const order = event.providerOrderId
+      ? await Order.findOne({
+        paymentMethod: provider.name,
+        providerOrderId: event.providerOrderId,
+      })
+      : null;
+
+    if (order) {
+      eventRecord.orderId = order._id.toString();
+      await eventRecord.save();
+
+      try {
+        const amountMismatch = event.amount !== undefined &&
+          Math.abs(event.amount - getAmountDue(order)) > 0.01;
+
+        if (event.type === "payment.captured" && amountMismatch) {
+          // Needs a human - don't confirm, but don't make the provider retry
+          await Order.updateOne(
+            { _id: order._id },
+            { $set: { failureReason: `Webhook amount ${event.amount} does not match order total` } }
+          );
+        } else if (event.type === "payment.captured") {
+          if (!isPaymentSettled(order)) {
+            await settleCapturedPayment(order._id, {
+              paymentId: event.paymentId,
+              payerId: event.payerId,
+            }).catch((error) => {
+              // Stock failures are recorded on the order and refunded; the
+              // event itself was handled
+              if (error.status !== 409) throw error;
+            });
+          }
+        } else if (event.type === "payment.failed") {
+          await Order.updateOne(
+            { _id: order._id, paymentStatus: "pending" },
+            {
+              $set: {
+                paymentStatus: "failed",
+                failureReason: "Payment was declined by the provider",
+                orderUpdateDate: new Date(),
+              },
+            }
+          );
+        }
+      } finally {
+        clearOrderCache(order.userId, order._id.toString());
       }
+    }
 
-      product.totalStock -= item.quantity;
-      return product.save();
+    res.status(200).json({
+      success: true,
+      message: "Event processed",
     });
+  } catch (e) {
+    console.error("handlePaymentWebhook error:", e);
 
-    await Promise.all(stockUpdates);
+    // Forget the event so the provider's retry gets processed
+    if (eventRecord) {
+      await PaymentEvent.deleteOne({ _id: eventRecord._id }).catch(() => {});
+    }
 
-    // Delete cart after successful payment
-    if (order.cartId) {
-      await Cart.findByIdAndDelete(order.cartId);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Webhook processing failed",
+    });
+  }
+};
+
+const cancelOrderByCustomer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const order = await findOwnedOrder(id, req.user);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found!",
+      });
     }
 
-    await order.save();
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+      return res.status(409).json({
+        success: false,
+        code: "ORDER_NOT_CANCELLABLE",
+        message: `Orders can only be cancelled before they are ${CANCELLABLE_BEFORE_STATUS}`,
+      });
+    }
 
-    // Clear user's order cache
-    clearOrderCache(order.userId);
+    let result;
+    try {
+      result = await cancelOrder(order._id, {
+        changedBy: req.user.id,
+        actor: STATUS_ACTORS.CUSTOMER,
+        note: reason || "Cancelled by customer",
+        fromStatuses: CUSTOMER_CANCELLABLE_STATUSES,
+      });
+    } finally {
+      clearOrderCache(order.userId, order._id.toString());
+    }
 
     res.status(200).json({
       success: true,
-      message: "Payment captured successfully",
-      data: order,
+      message: result.refundError
+        ? "Order cancelled. Your refund is being processed by our team."
+        : "Order cancelled successfully",
+      data: result.order,
     });
   } catch (e) {
-    console.error("capturePayment error:", e);
-    res.status(500).json({
+    console.error("cancelOrderByCustomer error:", e);
+    res.status(e.status || 500).json({
       success: false,
-      message: e.message || "Payment capture failed",
+      code: e.code,
+      message: e.status ? e.message : "Failed to cancel order",
+    });
+  }
+};
+
+const downloadInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await findOwnedOrder(id, req.user);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found!",
+      });
+    }
+
+    const invoicedOrder = await issueInvoice(order._id);
+    clearOrderCache(order.userId, order._id.toString());
+
+    const filename = `invoice-${invoicedOrder.invoice.number.replace(/\//g, "-")}.pdf`;
+    streamInvoicesPdf(res, [invoicedOrder], filename);
+  } catch (e) {
+    console.error("downloadInvoice error:", e);
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.status ? e.message : "Failed to generate invoice",
     });
   }
 };
@@ -344,7 +728,7 @@ const getOrderDetails = async (req, res) => {
     const cacheKey = `order_detail_${id}`;
     const cachedOrder = getCachedOrder(cacheKey);
 
-    if (cachedOrder) {
+    if (cachedOrder && canAccessUserResource(req.user, cachedOrder.userId)) {
       return res.status(200).json({
         success: true,
         data: cachedOrder,
@@ -352,7 +736,7 @@ const getOrderDetails = async (req, res) => {
       });
     }
 
-    const order = await Order.findById(id).lean();
+    const order = await findOwnedOrder(id, req.user);
 
     if (!order) {
       return res.status(404).json({
@@ -361,11 +745,15 @@ const getOrderDetails = async (req, res) => {
       });
     }
 
-    setCachedOrder(cacheKey, order);
+    // Customers get the timeline view of the history, without staff ids
+    const { statusHistory, ...orderData } = order;
+    const orderDetails = { ...orderData, timeline: buildStatusTimeline({ statusHistory }) };
+
+    setCachedOrder(cacheKey, orderDetails);
 
     res.status(200).json({
       success: true,
-      data: order,
+      data: orderDetails,
     });
   } catch (e) {
     console.error("getOrderDetails error:", e);
@@ -376,6 +764,26 @@ const getOrderDetails = async (req, res) => {
   }
 };
 
+// Balance the customer can put towards an order with `useStoreCredit`
+const getStoreCredit = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const balance = await getStoreCreditBalance(userId);
+
+    res.status(200).json({
+      success: true,
+      data: { balance },
+    });
+  } catch (e) {
+    console.error("getStoreCredit error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch store credit",
+    });
+  }
+};
+
 // Clean up expired cache entries every 10 minutes
 setInterval(() => {
   const now = Date.now();
@@ -389,6 +797,11 @@ setInterval(() => {
 module.exports = {
   createOrder,
   capturePayment,
+  handlePaymentWebhook,
+  cancelOrderByCustomer,
+  downloadInvoice,
   getAllOrdersByUser,
   getOrderDetails,
+  getStoreCredit,
+  clearOrderCache,
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 const Product = require("../../models/Product");
+const { getStockStatus, getVariantLabel, getBasePrice } = require("../../helpers/variants");
+const { getDispatchDays, estimateDelivery } = require("../../helpers/delivery-estimate");
 
 // Built-in memory cache (no external dependencies needed)
 const cache = new Map();
@@ -245,7 +247,10 @@ const getFilteredProducts = async (req, res) => {
                 salePrice: 1,
                 totalStock: 1,
                 averageReview: 1,
-                image: 1
+                image: 1,
+                "variants.size": 1,
+                "variants.color": 1,
+                "variants.stock": 1
               }
             }
           ],
@@ -267,14 +272,20 @@ const getFilteredProducts = async (req, res) => {
         imageUrl = product.image.length > 0 ? product.image[0] : '';
       }
 
+      // Availability across variants; totalStock is already their sum
+      const { variants = [], ...listedProduct } = product;
+      const inStockVariants = variants.filter(variant => variant.stock > 0);
+
       return {
-        ...product,
+        ...listedProduct,
         image: imageUrl,
+        variantCount: variants.length,
+        availableSizes: [...new Set(inStockVariants.map(variant => variant.size).filter(Boolean))],
+        availableColors: [...new Set(inStockVariants.map(variant => variant.color).filter(Boolean))],
         // Calculate effective price for sorting consistency
         effectivePrice: product.salePrice > 0 ? product.salePrice : product.price,
         // Add stock status for better UX
-        stockStatus: product.totalStock === 0 ? 'out_of_stock' :
-          product.totalStock < 10 ? 'low_stock' : 'in_stock'
+        stockStatus: getStockStatus(product.totalStock)
       };
     });
 
@@ -333,6 +344,8 @@ const getProductDetails = async (req, res) => {
       });
     }
 
+    const deliveryEstimate = await estimateDelivery([product]);
+
     // ✅ CRITICAL FIX: Ensure image is always an array
     const transformedProduct = {
       ...product,
@@ -351,10 +364,21 @@ const getProductDetails = async (req, res) => {
         return [];
       })(),
       effectivePrice: product.salePrice > 0 ? product.salePrice : product.price,
-      stockStatus: product.totalStock === 0 ? 'out_of_stock' :
-        product.totalStock < 10 ? 'low_stock' : 'in_stock',
+      stockStatus: getStockStatus(product.totalStock),
+      variants: (product.variants || []).map(variant => ({
+        ...variant,
+        label: getVariantLabel(variant),
+        effectivePrice: getBasePrice(product, variant),
+        stockStatus: getStockStatus(variant.stock)
+      })),
       discount: product.salePrice > 0 ?
-        Math.round(((product.price - product.salePrice) / product.price) * 100) : 0
+        Math.round(((product.price - product.salePrice) / product.price) * 100) : 0,
+      // If ordered today
+      deliveryEstimate: {
+        readyToShip: Boolean(product.readyToShip),
+        dispatchDays: getDispatchDays(product),
+        ...deliveryEstimate
+      }
     };
 
     console.log("🔍 Product Details API Response:", {
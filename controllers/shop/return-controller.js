@@ -0,0 +1,294 @@
+// controllers/shop/return-controller.js - Customer returns and exchanges
+const ReturnRequest = require("../../models/ReturnRequest");
+const Product = require("../../models/Product");
+const { imageUploadUtil, bufferToDataURI } = require("../../helpers/cloudinary");
+const { canAccessUserResource, findOwnedOrder } = require("../../helpers/rbac");
+const { ORDER_STATUSES } = require("../../helpers/order-status");
+const { hasVariants, findVariant, getBasePrice } = require("../../helpers/variants");
+
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+const MAX_RETURN_PHOTOS = 5;
+const ALLOWED_PHOTO_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+
+// Items arrive as a JSON string when the request is multipart (photos attached)
+function parseItems(items) {
+  if (typeof items !== "string") return items;
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    return null;
+  }
+}
+
+function getDeliveredAt(order) {
+  const deliveredEntry = [...(order.statusHistory || [])]
+    .reverse()
+    .find((entry) => entry.status === ORDER_STATUSES.DELIVERED);
+  return deliveredEntry ? deliveredEntry.changedAt : order.orderUpdateDate;
+}
+
+// Quantity of each order line already covered by a request that wasn't rejected
+async function getAlreadyRequestedQuantities(orderId) {
+  const existingRequests = await ReturnRequest.find({
+    orderId,
+    status: { $ne: "rejected" },
+  }).lean();
+
+  const requested = new Map();
+  existingRequests.forEach((returnRequest) => {
+    returnRequest.items.forEach((item) => {
+      requested.set(item.orderItemId, (requested.get(item.orderItemId) || 0) + item.quantity);
+    });
+  });
+  return requested;
+}
+
+const createReturnRequest = async (req, res) => {
+  try {
+    const { orderId, type, reason, resolution } = req.body;
+    const requestedItems = parseItems(req.body.items);
+
+    if (!orderId || !reason || !["return", "exchange"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order, type (return or exchange) and reason are required",
+      });
+    }
+
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one item to return",
+      });
+    }
+
+    if (type === "return" && resolution && !["refund", "store-credit"].includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: "Resolution must be refund or store-credit",
+      });
+    }
+
+    const order = await findOwnedOrder(orderId, req.user);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found!",
+      });
+    }
+
+    if (order.orderStatus !== ORDER_STATUSES.DELIVERED) {
+      return res.status(409).json({
+        success: false,
+        message: "Returns can only be requested for delivered orders",
+      });
+    }
+
+    const windowEndsAt = new Date(getDeliveredAt(order));
+    windowEndsAt.setDate(windowEndsAt.getDate() + RETURN_WINDOW_DAYS);
+    if (Date.now() > windowEndsAt.getTime()) {
+      return res.status(409).json({
+        success: false,
+        message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`,
+      });
+    }
+
+    const alreadyRequested = await getAlreadyRequestedQuantities(orderId);
+    const items = [];
+
+    for (const requestedItem of requestedItems) {
+      const orderItem = order.cartItems.find(
+        (item) => item._id.toString() === String(requestedItem.orderItemId)
+      );
+
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: "One of the selected items is not part of this order",
+        });
+      }
+
+      const quantity = parseInt(requestedItem.quantity) || orderItem.quantity;
+      const available = orderItem.quantity - (alreadyRequested.get(orderItem._id.toString()) || 0);
+
+      if (quantity < 1 || quantity > available) {
+        return res.status(400).json({
+          success: false,
+          message: `You can return up to ${Math.max(available, 0)} of ${orderItem.title}`,
+        });
+      }
+
+      // Exchanges swap for another size or colour of the same piece; a
+      // different product would need its price difference settled
+      if (
+        type === "exchange" &&
+        requestedItem.replacementProductId &&
+        String(requestedItem.replacementProductId) !== String(orderItem.productId)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `${orderItem.title} can only be exchanged for another size or colour`,
+        });
+      }
+
+      const replacementProductId = type === "exchange" ? orderItem.productId : undefined;
+      const replacementVariantId = type === "exchange"
+        ? requestedItem.replacementVariantId || orderItem.variantId
+        : undefined;
+
+      items.push({
+        orderItemId: orderItem._id.toString(),
+        productId: orderItem.productId,
+        variantId: orderItem.variantId,
+        title: orderItem.title,
+        // Net of the line's coupon share, so refunds match what was paid
+        price: Math.round(
+          (Number(orderItem.price) - (orderItem.discount || 0) / orderItem.quantity) * 100
+        ) / 100,
+        quantity,
+        replacementProductId,
+        replacementVariantId,
+      });
+    }
+
+    // Replacements must name a variant that exists when the product has them,
+    // and may not cost more than the variant that was bought
+    if (type === "exchange") {
+      const replacementProducts = await Product.find({
+        _id: { $in: items.map((item) => item.replacementProductId) },
+      })
+        .lean()
+        .select("title price salePrice variants");
+
+      for (const item of items) {
+        const product = replacementProducts.find(
+          (p) => p._id.toString() === String(item.replacementProductId)
+        );
+        const replacementVariant = product && findVariant(product, item.replacementVariantId);
+        const variantMissing = product && (hasVariants(product)
+          ? !replacementVariant
+          : Boolean(item.replacementVariantId));
+
+        if (!product || variantMissing) {
+          return res.status(400).json({
+            success: false,
+            message: `Choose an available replacement for ${item.title}`,
+          });
+        }
+
+        const orderedPrice = getBasePrice(product, findVariant(product, item.variantId));
+        if (getBasePrice(product, replacementVariant) > orderedPrice) {
+          return res.status(400).json({
+            success: false,
+            message: `The replacement for ${item.title} costs more than the one you bought`,
+          });
+        }
+      }
+    }
+
+    const files = req.files || [];
+    if (files.length > MAX_RETURN_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum ${MAX_RETURN_PHOTOS} photos allowed`,
+      });
+    }
+
+    const invalidFile = files.find((file) => !ALLOWED_PHOTO_TYPES.includes(file.mimetype));
+    if (invalidFile) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type for ${invalidFile.originalname}. Please upload JPEG, PNG, or WebP images.`,
+      });
+    }
+
+    const photos = await Promise.all(
+      files.map((file) => imageUploadUtil(bufferToDataURI(file.mimetype, file.buffer)))
+    );
+
+    const returnRequest = new ReturnRequest({
+      userId: order.userId,
+      orderId,
+      type,
+      items,
+      reason: reason.trim(),
+      photos,
+      resolution: type === "return" ? resolution || "refund" : undefined,
+      history: [
+        {
+          status: "requested",
+          changedBy: req.user.id,
+          changedAt: new Date(),
+        },
+      ],
+    });
+
+    await returnRequest.save();
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest,
+      message: "Return request submitted",
+    });
+  } catch (e) {
+    console.error("createReturnRequest error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit return request",
+    });
+  }
+};
+
+const getReturnRequestsByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const returnRequests = await ReturnRequest.find({ userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: returnRequests,
+    });
+  } catch (e) {
+    console.error("getReturnRequestsByUser error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch return requests",
+    });
+  }
+};
+
+const getReturnRequestDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const returnRequest = await ReturnRequest.findById(id).lean();
+
+    if (!returnRequest || !canAccessUserResource(req.user, returnRequest.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+    });
+  } catch (e) {
+    console.error("getReturnRequestDetails error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch return request",
+    });
+  }
+};
+
+module.exports = {
+  createReturnRequest,
+  getReturnRequestsByUser,
+  getReturnRequestDetails,
+};
@@ -0,0 +1,43 @@
+// helpers/account-mail.js - Password reset and email verification messages
+const { sendMail } = require("./mail");
+
+const FRONTEND_URL = process.env.NODE_ENV === "production"
+  ? "https://darziescouture.com"
+  : "http://localhost:5173";
+
+function sendPasswordResetMail(user, token, ttlMinutes) {
+  const link = `${FRONTEND_URL}/auth/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Darzie's Couture password",
+    text: [
+      `Hi ${user.userName},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      link,
+      "",
+      `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.`,
+    ].join("\n"),
+  });
+}
+
+function sendVerificationMail(user, token) {
+  const link = `${FRONTEND_URL}/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email for Darzie's Couture",
+    text: [
+      `Hi ${user.userName},`,
+      "",
+      "Please confirm this is your email address:",
+      link,
+    ].join("\n"),
+  });
+}
+
+module.exports = {
+  sendPasswordResetMail,
+  sendVerificationMail,
+};
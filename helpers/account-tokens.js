@@ -0,0 +1,85 @@
+// helpers/account-tokens.js - Expiring single-use tokens for password reset and email verification
+const crypto = require("crypto");
+const AccountToken = require("../models/AccountToken");
+const { createHttpError } = require("./http-error");
+
+const TOKEN_PURPOSES = Object.freeze({
+  PASSWORD_RESET: "password-reset",
+  EMAIL_VERIFICATION: "email-verification",
+});
+
+// Minutes each kind of link stays valid
+const TOKEN_TTL_MINUTES = Object.freeze({
+  [TOKEN_PURPOSES.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+});
+
+// Minutes before another link of the same kind is sent, so repeated requests
+// can't flood the inbox or keep replacing the link the user is about to open
+const TOKEN_COOLDOWN_MINUTES = Object.freeze({
+  [TOKEN_PURPOSES.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_COOLDOWN_MINUTES) || 2,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 0,
+});
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Resolves to the raw token for the link; only its hash is kept. Issuing a
+// new token withdraws the user's earlier ones for the same purpose. Resolves
+// to null, keeping the earlier link, while one issued within the cooldown is
+// still unused.
+async function issueAccountToken(userId, purpose) {
+  const cooldownMs = TOKEN_COOLDOWN_MINUTES[purpose] * 60 * 1000;
+  if (cooldownMs > 0) {
+    const recent = await AccountToken.exists({
+      userId: String(userId),
+      purpose,
+      usedAt: null,
+      createdAt: { $gt: new Date(Date.now() - cooldownMs) },
+    });
+    if (recent) return null;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await AccountToken.deleteMany({ userId: String(userId), purpose, usedAt: null });
+  await AccountToken.create({
+    userId: String(userId),
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+  });
+
+  return token;
+}
+
+// Marks the token used and resolves to it. Used, expired and unknown tokens
+// all get the same 400 so they can't be told apart.
+async function consumeAccountToken(token, purpose) {
+  const accountToken = token
+    ? await AccountToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    )
+    : null;
+
+  if (!accountToken) {
+    throw createHttpError(400, "This link is invalid or has expired", "INVALID_TOKEN");
+  }
+
+  return accountToken;
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  TOKEN_TTL_MINUTES,
+  issueAccountToken,
+  consumeAccountToken,
+};
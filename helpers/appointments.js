@@ -0,0 +1,215 @@
+// helpers/appointments.js - Fitting/consultation slots and seat-safe booking
+const mongoose = require("mongoose");
+const Appointment = require("../models/Appointment");
+const AppointmentSlot = require("../models/AppointmentSlot");
+const { createHttpError } = require("./http-error");
+const { DAY_MS, getIstDayStart } = require("./ist");
+
+// Customers can't move or cancel a booking this close to its start
+const CHANGE_CUTOFF_HOURS = Number(process.env.APPOINTMENT_CHANGE_CUTOFF_HOURS) || 2;
+
+// "2026-11-02" -> that calendar day in India, or null. The end is the next
+// day's start.
+function getDayRange(day) {
+  const start = getIstDayStart(day);
+  if (!start) return null;
+
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+function isWithinChangeCutoff(appointment) {
+  const cutoff = new Date(appointment.startsAt).getTime() - CHANGE_CUTOFF_HOURS * 60 * 60 * 1000;
+  return Date.now() > cutoff;
+}
+
+// Takes one seat only while the slot has room, so two customers can never
+// get the last seat
+async function takeSeat(slotId, session) {
+  const slot = await AppointmentSlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      closed: { $ne: true },
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ["$booked", "$capacity"] },
+    },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+
+  if (!slot) {
+    const existing = await AppointmentSlot.findById(slotId).session(session).lean();
+    if (!existing) {
+      throw createHttpError(404, "Appointment slot not found");
+    }
+    if (existing.closed || existing.startsAt <= new Date()) {
+      throw createHttpError(409, "This slot is no longer available", "SLOT_UNAVAILABLE");
+    }
+    throw createHttpError(409, "This slot is fully booked", "SLOT_FULL");
+  }
+
+  return slot;
+}
+
+async function releaseSeat(slotId, session) {
+  await AppointmentSlot.updateOne(
+    { _id: slotId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+}
+
+// Seat counts and appointments change together or not at all
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+async function bookAppointment({ userId, slotId, purpose, orderId, measurementId, notes, changedBy }) {
+  try {
+    return await runInTransaction(async (session) => {
+      const slot = await takeSeat(slotId, session);
+
+      const [appointment] = await Appointment.create(
+        [
+          {
+            userId,
+            slotId: slot._id.toString(),
+            startsAt: slot.startsAt,
+            endsAt: slot.endsAt,
+            mode: slot.mode,
+            purpose,
+            orderId,
+            measurementId,
+            notes,
+            history: [
+              {
+                status: "booked",
+                slotId: slot._id.toString(),
+                startsAt: slot.startsAt,
+                changedBy,
+                changedAt: new Date(),
+              },
+            ],
+          },
+        ],
+        { session }
+      );
+
+      return appointment;
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(409, "You have already booked this slot", "ALREADY_BOOKED");
+    }
+    throw error;
+  }
+}
+
+// `userId` scopes the lookup for customers; staff pass none and skip the cutoff
+async function rescheduleAppointment(appointmentId, slotId, { userId, changedBy, note } = {}) {
+  try {
+    return await runInTransaction(async (session) => {
+      const filter = { _id: appointmentId, status: "booked" };
+      if (userId) filter.userId = userId;
+
+      const current = await Appointment.findOne(filter).session(session).lean();
+      if (!current) {
+        throw createHttpError(404, "Booked appointment not found");
+      }
+      if (current.slotId === String(slotId)) {
+        throw createHttpError(400, "The appointment is already in this slot");
+      }
+      if (userId && isWithinChangeCutoff(current)) {
+        throw createHttpError(
+          409,
+          `Appointments can't be changed within ${CHANGE_CUTOFF_HOURS} hours of the start`
+        );
+      }
+
+      const slot = await takeSeat(slotId, session);
+      await releaseSeat(current.slotId, session);
+
+      return Appointment.findOneAndUpdate(
+        { _id: appointmentId, status: "booked", slotId: current.slotId },
+        {
+          $set: {
+            slotId: slot._id.toString(),
+            startsAt: slot.startsAt,
+            endsAt: slot.endsAt,
+            mode: slot.mode,
+          },
+          $push: {
+            history: {
+              status: "rescheduled",
+              slotId: slot._id.toString(),
+              startsAt: slot.startsAt,
+              changedBy,
+              note,
+              changedAt: new Date(),
+            },
+          },
+        },
+        { new: true, session }
+      );
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(409, "You have already booked this slot", "ALREADY_BOOKED");
+    }
+    throw error;
+  }
+}
+
+// Moves a booked appointment to cancelled, completed or no-show. Cancelling
+// gives the seat back.
+async function closeAppointment(appointmentId, status, { userId, changedBy, note } = {}) {
+  return runInTransaction(async (session) => {
+    const filter = { _id: appointmentId, status: "booked" };
+    if (userId) filter.userId = userId;
+
+    const current = await Appointment.findOne(filter).session(session).lean();
+    if (!current) {
+      throw createHttpError(404, "Booked appointment not found");
+    }
+    if (userId && status === "cancelled" && isWithinChangeCutoff(current)) {
+      throw createHttpError(
+        409,
+        `Appointments can't be cancelled within ${CHANGE_CUTOFF_HOURS} hours of the start`
+      );
+    }
+
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: appointmentId, status: "booked" },
+      {
+        $set: { status },
+        $push: {
+          history: { status, slotId: current.slotId, changedBy, note, changedAt: new Date() },
+        },
+      },
+      { new: true, session }
+    );
+
+    if (status === "cancelled") {
+      await releaseSeat(current.slotId, session);
+    }
+
+    return appointment;
+  });
+}
+
+module.exports = {
+  getDayRange,
+  bookAppointment,
+  rescheduleAppointment,
+  closeAppointment,
+};
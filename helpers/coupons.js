@@ -0,0 +1,193 @@
+// helpers/coupons.js - Coupon rules, cart discounts and redemption at confirmation
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Order = require("../models/Order");
+const { createHttpError } = require("./http-error");
+const { roundCurrency } = require("./currency");
+
+const COUPON_TYPES = ["percentage", "flat"];
+
+function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function couponError(message) {
+  return createHttpError(400, message, "COUPON_NOT_APPLICABLE");
+}
+
+// Orders that went through: anything confirmed that wasn't cancelled
+function hasPlacedOrder(userId, excludeOrderId) {
+  const filter = {
+    userId: String(userId),
+    stockReserved: true,
+    orderStatus: { $ne: "cancelled" },
+  };
+  if (excludeOrderId) filter._id = { $ne: excludeOrderId };
+  return Order.exists(filter);
+}
+
+// Rules that don't depend on the cart contents. Throws a 400 explaining why
+// the coupon can't be used.
+async function checkCouponEligibility(coupon, userId, { now = new Date(), excludeOrderId } = {}) {
+  if (!coupon || !coupon.active) {
+    throw couponError("This coupon is not valid");
+  }
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw couponError("This coupon is not active yet");
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw couponError("This coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError("This coupon has been fully redeemed");
+  }
+
+  if (coupon.perUserLimit) {
+    const redemptions = await CouponRedemption.countDocuments({
+      couponId: coupon._id.toString(),
+      userId: String(userId),
+    });
+    if (redemptions >= coupon.perUserLimit) {
+      throw couponError("You have already used this coupon");
+    }
+  }
+
+  if (coupon.firstOrderOnly && (await hasPlacedOrder(userId, excludeOrderId))) {
+    throw couponError("This coupon is only valid on your first order");
+  }
+}
+
+function isLineInScope(coupon, item) {
+  const productIds = coupon.productIds || [];
+  const categories = coupon.categories || [];
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return productIds.includes(String(item.productId)) || categories.includes(item.category);
+}
+
+// Works out the discount for priced cart lines ({ _id, productId, category,
+// itemTotal }). The discount is spread over the lines in scope so refunds and
+// invoices can use each line's share. Throws a 400 when the cart doesn't qualify.
+function calculateCouponDiscount(coupon, items) {
+  const subtotal = roundCurrency(items.reduce((total, item) => total + item.itemTotal, 0));
+
+  if (coupon.minCartValue && subtotal < coupon.minCartValue) {
+    throw couponError(`Add items worth ₹${roundCurrency(coupon.minCartValue - subtotal)} more to use this coupon`);
+  }
+
+  const eligibleItems = items.filter((item) => isLineInScope(coupon, item));
+  const eligibleTotal = roundCurrency(eligibleItems.reduce((total, item) => total + item.itemTotal, 0));
+
+  if (eligibleTotal <= 0) {
+    throw couponError("This coupon doesn't apply to any item in your cart");
+  }
+
+  let discount = coupon.type === "percentage"
+    ? (eligibleTotal * coupon.value) / 100
+    : coupon.value;
+  if (coupon.type === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundCurrency(Math.min(discount, eligibleTotal));
+
+  // Proportional shares; the last line takes the rounding remainder
+  const lineDiscounts = new Map();
+  let allocated = 0;
+  eligibleItems.forEach((item, index) => {
+    const share = index === eligibleItems.length - 1
+      ? roundCurrency(discount - allocated)
+      : roundCurrency((discount * item.itemTotal) / eligibleTotal);
+    allocated = roundCurrency(allocated + share);
+    lineDiscounts.set(item._id.toString(), share);
+  });
+
+  return { discount, lineDiscounts };
+}
+
+// Resolves to { coupon, discount, lineDiscounts } for a code applied to a
+// cart, or throws a 400/404 explaining why it doesn't apply
+async function evaluateCoupon(code, userId, items, options) {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) }).lean();
+
+  if (!coupon) {
+    throw createHttpError(404, "Coupon not found", "COUPON_NOT_FOUND");
+  }
+
+  await checkCouponEligibility(coupon, userId, options);
+  return { coupon, ...calculateCouponDiscount(coupon, items) };
+}
+
+// Counts the coupon against its limits when the order is confirmed, inside the
+// confirmation transaction. A coupon that ran out since checkout fails the
+// confirmation like missing stock would.
+async function redeemCoupon(order, session) {
+  if (!order.coupon?.couponId) return;
+
+  const couponId = order.coupon.couponId;
+  const coupon = await Coupon.findById(couponId).session(session).lean();
+
+  if (coupon?.perUserLimit) {
+    const redemptions = await CouponRedemption.countDocuments({
+      couponId,
+      userId: order.userId,
+    }).session(session);
+    if (redemptions >= coupon.perUserLimit) {
+      throw createHttpError(409, `Coupon ${order.coupon.code} has already been used`, "COUPON_EXHAUSTED");
+    }
+  }
+
+  const counted = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: { $in: [null, 0] } },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!counted) {
+    throw createHttpError(409, `Coupon ${order.coupon.code} is no longer available`, "COUPON_EXHAUSTED");
+  }
+
+  await CouponRedemption.create(
+    [
+      {
+        couponId,
+        code: order.coupon.code,
+        userId: order.userId,
+        orderId: order._id.toString(),
+        discount: order.coupon.discount,
+      },
+    ],
+    { session }
+  );
+}
+
+// A cancelled order gives its use of the coupon back
+async function releaseCoupon(order, session) {
+  if (!order.coupon?.couponId) return;
+
+  const removed = await CouponRedemption.findOneAndDelete(
+    { orderId: order._id.toString() },
+    { session }
+  );
+
+  if (removed) {
+    await Coupon.updateOne(
+      { _id: order.coupon.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCouponCode,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,6 @@
+// helpers/currency.js - Rupee amounts, kept to paise
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { roundCurrency };
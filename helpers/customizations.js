@@ -0,0 +1,158 @@
+// helpers/customizations.js - Product option groups (neckline, lining, ...) and price modifiers
+const { createHttpError } = require("./http-error");
+const { roundCurrency } = require("./currency");
+
+const MAX_GROUPS_PER_PRODUCT = 10;
+const MAX_CHOICES_PER_GROUP = 20;
+
+// Option groups arrive as a JSON string when the product form is multipart
+function parseCustomizationGroups(groups) {
+  if (typeof groups !== "string") return groups;
+  try {
+    return JSON.parse(groups);
+  } catch (error) {
+    throw createHttpError(400, "Customization options must be valid JSON");
+  }
+}
+
+// Validates the admin's option groups before they are saved on a product.
+// Existing _ids are kept so choices already in carts stay resolvable.
+function sanitizeCustomizationGroups(input) {
+  const groups = parseCustomizationGroups(input);
+
+  if (!Array.isArray(groups)) {
+    throw createHttpError(400, "Customization options must be a list of groups");
+  }
+
+  if (groups.length > MAX_GROUPS_PER_PRODUCT) {
+    throw createHttpError(400, `A product can have up to ${MAX_GROUPS_PER_PRODUCT} option groups`);
+  }
+
+  return groups.map((group) => {
+    const name = String(group?.name || "").trim();
+    if (!name) {
+      throw createHttpError(400, "Every option group needs a name");
+    }
+
+    if (!Array.isArray(group.choices) || group.choices.length === 0) {
+      throw createHttpError(400, `Add at least one choice to ${name}`);
+    }
+
+    if (group.choices.length > MAX_CHOICES_PER_GROUP) {
+      throw createHttpError(400, `${name} can have up to ${MAX_CHOICES_PER_GROUP} choices`);
+    }
+
+    const choices = group.choices.map((choice) => {
+      const choiceName = String(choice?.name || "").trim();
+      const priceDelta = Number(choice?.priceDelta || 0);
+
+      if (!choiceName) {
+        throw createHttpError(400, `Every choice in ${name} needs a name`);
+      }
+      if (!Number.isFinite(priceDelta)) {
+        throw createHttpError(400, `Invalid price for ${choiceName} in ${name}`);
+      }
+
+      return {
+        ...(choice._id ? { _id: choice._id } : {}),
+        name: choiceName,
+        priceDelta: roundCurrency(priceDelta),
+        available: choice.available !== false,
+      };
+    });
+
+    return {
+      ...(group._id ? { _id: group._id } : {}),
+      name,
+      required: Boolean(group.required),
+      multiple: Boolean(group.multiple),
+      choices,
+    };
+  });
+}
+
+// Checks a customer's selection against the product and returns it in a
+// canonical order, so the same options always produce the same cart line
+function resolveSelectedOptions(product, selections = []) {
+  if (!Array.isArray(selections)) {
+    throw createHttpError(400, "Selected options must be a list");
+  }
+
+  const groups = product.customizationGroups || [];
+  const chosenByGroup = new Map();
+
+  selections.forEach((selection) => {
+    const group = groups.find((g) => g._id.toString() === String(selection?.groupId));
+    if (!group) {
+      throw createHttpError(400, `Unknown option for ${product.title}`);
+    }
+
+    const choice = group.choices.find((c) => c._id.toString() === String(selection.choiceId));
+    if (!choice || choice.available === false) {
+      throw createHttpError(400, `That ${group.name} choice is not available`);
+    }
+
+    const chosen = chosenByGroup.get(group._id.toString()) || new Set();
+    chosen.add(choice._id.toString());
+    if (chosen.size > 1 && !group.multiple) {
+      throw createHttpError(400, `Choose only one ${group.name}`);
+    }
+    chosenByGroup.set(group._id.toString(), chosen);
+  });
+
+  const missing = groups.find((group) => group.required && !chosenByGroup.has(group._id.toString()));
+  if (missing) {
+    throw createHttpError(400, `Please choose a ${missing.name}`);
+  }
+
+  // Follow the product's own group and choice order
+  return groups.flatMap((group) =>
+    group.choices
+      .filter((choice) => chosenByGroup.get(group._id.toString())?.has(choice._id.toString()))
+      .map((choice) => ({ groupId: group._id.toString(), choiceId: choice._id.toString() }))
+  );
+}
+
+function getOptionsKey(options = []) {
+  return options.map((option) => `${option.groupId}=${option.choiceId}`).join(",");
+}
+
+// Current names and prices for stored selections. Returns null when a choice
+// has been removed or switched off, or a new required group was added, since
+// the line went into the cart.
+function describeSelectedOptions(product, options = []) {
+  const groups = product.customizationGroups || [];
+  const described = [];
+
+  for (const option of options) {
+    const group = groups.find((g) => g._id.toString() === String(option.groupId));
+    const choice = group?.choices.find((c) => c._id.toString() === String(option.choiceId));
+    if (!choice || choice.available === false) return null;
+
+    described.push({
+      groupId: group._id.toString(),
+      groupName: group.name,
+      choiceId: choice._id.toString(),
+      choiceName: choice.name,
+      priceDelta: choice.priceDelta || 0,
+    });
+  }
+
+  const missingRequired = groups.some(
+    (group) => group.required && !described.some((option) => option.groupId === group._id.toString())
+  );
+
+  return missingRequired ? null : described;
+}
+
+function getOptionsPriceDelta(describedOptions = []) {
+  return roundCurrency(describedOptions.reduce((total, option) => total + option.priceDelta, 0));
+}
+
+module.exports = {
+  sanitizeCustomizationGroups,
+  resolveSelectedOptions,
+  getOptionsKey,
+  describeSelectedOptions,
+  getOptionsPriceDelta,
+};
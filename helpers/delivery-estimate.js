@@ -0,0 +1,84 @@
+// helpers/delivery-estimate.js - Dispatch and delivery dates from lead times and the workshop calendar
+const Holiday = require("../models/Holiday");
+const { DAY_MS, getIstDayKey, getIstWeekday } = require("./ist");
+const { createTtlCache } = require("./ttl-cache");
+
+// Workshop days needed before a made-to-order piece can be dispatched
+const DEFAULT_LEAD_TIME_DAYS = Number(process.env.DEFAULT_LEAD_TIME_DAYS) || 7;
+// Workshop days to pack and hand over a ready-to-ship piece
+const READY_TO_SHIP_DISPATCH_DAYS = Number(process.env.READY_TO_SHIP_DISPATCH_DAYS) || 1;
+// Calendar days the courier takes - couriers don't follow our holidays
+const SHIPPING_TRANSIT_DAYS = Number(process.env.SHIPPING_TRANSIT_DAYS) || 5;
+// Weekdays the workshop is closed, 0 = Sunday. A week with no open day is
+// treated as misconfigured and ignored.
+const configuredClosedWeekdays = (process.env.WORKSHOP_CLOSED_WEEKDAYS || "0")
+  .split(",")
+  .map((day) => parseInt(day.trim()))
+  .filter((day) => day >= 0 && day <= 6);
+const CLOSED_WEEKDAYS = new Set(configuredClosedWeekdays).size < 7 ? configuredClosedWeekdays : [];
+
+// Upcoming holidays as a set of "YYYY-MM-DD" keys
+async function loadHolidays() {
+  const holidays = await Holiday.find({ date: { $gte: getIstDayKey(new Date()) } })
+    .lean()
+    .select("date");
+  return new Set(holidays.map((holiday) => holiday.date));
+}
+
+const HOLIDAY_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const holidayCache = createTtlCache(loadHolidays, HOLIDAY_CACHE_TTL);
+
+function clearHolidayCache() {
+  holidayCache.clear();
+}
+
+// Weekdays and holidays are the workshop's, so they're read in Indian time
+function isWorkshopDay(date, holidays) {
+  return !CLOSED_WEEKDAYS.includes(getIstWeekday(date)) && !holidays.has(getIstDayKey(date));
+}
+
+// India has no daylight saving, so a day is always DAY_MS long
+function addWorkingDays(from, days, holidays) {
+  let date = new Date(from);
+  let remaining = days;
+
+  while (remaining > 0) {
+    date = new Date(date.getTime() + DAY_MS);
+    if (isWorkshopDay(date, holidays)) remaining -= 1;
+  }
+
+  return date;
+}
+
+// Workshop days a product needs before dispatch
+function getDispatchDays(product) {
+  if (product.readyToShip) return READY_TO_SHIP_DISPATCH_DAYS;
+  return Number.isFinite(product.leadTimeDays) && product.leadTimeDays >= 0
+    ? product.leadTimeDays
+    : DEFAULT_LEAD_TIME_DAYS;
+}
+
+// Shipping zones may set their own transit time
+function getDeliveryDate(dispatchDate, transitDays = SHIPPING_TRANSIT_DAYS) {
+  return new Date(new Date(dispatchDate).getTime() + transitDays * DAY_MS);
+}
+
+// Everything ships together, so the slowest product sets the dates.
+// Resolves to { dispatchDate, deliveryDate } or null without products.
+async function estimateDelivery(products, from = new Date()) {
+  if (!products || products.length === 0) return null;
+
+  const holidays = await holidayCache.get();
+  const dispatchDays = Math.max(...products.map(getDispatchDays));
+  const dispatchDate = addWorkingDays(from, dispatchDays, holidays);
+
+  return { dispatchDate, deliveryDate: getDeliveryDate(dispatchDate) };
+}
+
+module.exports = {
+  SHIPPING_TRANSIT_DAYS,
+  getDispatchDays,
+  getDeliveryDate,
+  estimateDelivery,
+  clearHolidayCache,
+};
@@ -0,0 +1,9 @@
+// helpers/http-error.js - Errors that carry the HTTP status to respond with
+function createHttpError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+module.exports = { createHttpError };
@@ -0,0 +1,51 @@
+// helpers/inventory.js - Atomic stock movements for order items
+const Product = require("../models/Product");
+const { createHttpError } = require("./http-error");
+
+// Variant lines move the variant's stock and the product total together, so
+// totalStock stays the sum of its variants. Pairs with a filter that matches
+// the variant for the positional $ operator.
+function getStockIncrement(item, quantity) {
+  return item.variantId
+    ? { "variants.$.stock": quantity, totalStock: quantity }
+    : { totalStock: quantity };
+}
+
+// Conditional $inc so two concurrent checkouts can never take the same piece.
+// Runs sequentially because a session can't be shared by parallel operations.
+async function decrementStock(items, session) {
+  for (const item of items) {
+    const filter = item.variantId
+      ? {
+        _id: item.productId,
+        variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } },
+      }
+      : { _id: item.productId, totalStock: { $gte: item.quantity } };
+
+    const result = await Product.updateOne(
+      filter,
+      { $inc: getStockIncrement(item, -item.quantity) },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createHttpError(409, `Insufficient stock for ${item.title}`, "OUT_OF_STOCK");
+    }
+  }
+}
+
+async function restoreStock(items, session) {
+  for (const item of items) {
+    const filter = item.variantId
+      ? { _id: item.productId, "variants._id": item.variantId }
+      : { _id: item.productId };
+
+    await Product.updateOne(
+      filter,
+      { $inc: getStockIncrement(item, item.quantity) },
+      { session }
+    );
+  }
+}
+
+module.exports = { decrementStock, restoreStock };
@@ -0,0 +1,113 @@
+// helpers/invoice-pdf.js - Renders issued invoices to PDF with pdfkit
+const PDFDocument = require("pdfkit");
+const { STORE_DETAILS } = require("./invoice");
+
+// x position and width of each table column on an A4 page with 40pt margins
+const COLUMNS = [
+  { key: "index", label: "#", x: 40, width: 20 },
+  { key: "title", label: "Item", x: 60, width: 140 },
+  { key: "hsnCode", label: "HSN", x: 200, width: 40 },
+  { key: "quantity", label: "Qty", x: 240, width: 30, align: "right" },
+  { key: "unitPrice", label: "Rate", x: 270, width: 50, align: "right" },
+  { key: "taxableValue", label: "Taxable", x: 320, width: 55, align: "right" },
+  { key: "cgst", label: "CGST", x: 375, width: 40, align: "right" },
+  { key: "sgst", label: "SGST", x: 415, width: 40, align: "right" },
+  { key: "igst", label: "IGST", x: 455, width: 40, align: "right" },
+  { key: "total", label: "Total", x: 495, width: 60, align: "right" },
+];
+
+const MONEY_COLUMNS = ["unitPrice", "taxableValue", "cgst", "sgst", "igst", "total"];
+
+// The built-in fonts have no rupee glyph
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function drawRow(doc, values, y, { bold = false } = {}) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+
+  let rowHeight = 0;
+  COLUMNS.forEach((column) => {
+    const value = values[column.key];
+    const text = MONEY_COLUMNS.includes(column.key) && typeof value === "number"
+      ? formatAmount(value)
+      : String(value ?? "");
+    const options = { width: column.width - 4, align: column.align || "left" };
+
+    doc.text(text, column.x, y, options);
+    rowHeight = Math.max(rowHeight, doc.heightOfString(text, options));
+  });
+
+  return y + rowHeight + 6;
+}
+
+function drawInvoice(doc, order) {
+  const { invoice, addressInfo = {} } = order;
+
+  doc.font("Helvetica-Bold").fontSize(16).text(STORE_DETAILS.name, 40, 40);
+  doc.font("Helvetica").fontSize(9);
+  if (STORE_DETAILS.address) doc.text(STORE_DETAILS.address);
+  if (STORE_DETAILS.gstin) doc.text(`GSTIN: ${STORE_DETAILS.gstin}`);
+
+  doc.font("Helvetica-Bold").fontSize(13).text("TAX INVOICE", 40, 40, { align: "right" });
+  doc.font("Helvetica").fontSize(9)
+    .text(`Invoice No: ${invoice.number}`, { align: "right" })
+    .text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString("en-IN")}`, { align: "right" })
+    .text(`Order ID: ${order._id}`, { align: "right" });
+
+  doc.moveDown(2);
+  doc.font("Helvetica-Bold").fontSize(10).text("Bill To", 40);
+  doc.font("Helvetica").fontSize(9)
+    .text(addressInfo.address || "")
+    .text([addressInfo.city, addressInfo.state, addressInfo.pincode].filter(Boolean).join(", "))
+    .text(addressInfo.phone ? `Phone: ${addressInfo.phone}` : "")
+    .text(`Place of Supply: ${invoice.placeOfSupply || "-"}`);
+
+  let y = doc.y + 20;
+  y = drawRow(doc, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), y, { bold: true });
+  doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+
+  invoice.lines.forEach((line, index) => {
+    y = drawRow(doc, { ...line, index: index + 1 }, y);
+  });
+
+  doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+  y = drawRow(doc, {
+    title: "Total",
+    taxableValue: invoice.taxableValue,
+    cgst: invoice.cgst,
+    sgst: invoice.sgst,
+    igst: invoice.igst,
+    total: invoice.total,
+  }, y, { bold: true });
+
+  const taxNote = invoice.interState
+    ? "Inter-state supply: IGST charged."
+    : "Intra-state supply: CGST and SGST charged.";
+  const discount = invoice.lines.reduce((total, line) => total + (line.discount || 0), 0);
+  const discountNote = discount > 0
+    ? ` Line totals are after a coupon discount of ${formatAmount(discount)}.`
+    : "";
+  doc.font("Helvetica").fontSize(8)
+    .text(`${taxNote} All amounts in INR, prices inclusive of GST.${discountNote}`, 40, y + 10)
+    .moveDown()
+    .text("This is a computer generated invoice and does not require a signature.");
+}
+
+// Writes one invoice per page; orders must already have an issued invoice
+function streamInvoicesPdf(res, orders, filename) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, order);
+  });
+
+  doc.end();
+}
+
+module.exports = { streamInvoicesPdf };
@@ -0,0 +1,199 @@
+// helpers/invoice.js - GST tax invoices: sequential numbering and tax breakdown
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const { createHttpError } = require("./http-error");
+const { DEFAULT_GST_RATE, splitInclusiveAmount } = require("./tax");
+const { toIstDate } = require("./ist");
+const { roundCurrency } = require("./currency");
+
+const STORE_DETAILS = Object.freeze({
+  name: process.env.STORE_NAME || "Darzie's Couture",
+  gstin: process.env.STORE_GSTIN || "",
+  address: process.env.STORE_ADDRESS || "",
+  state: process.env.STORE_STATE || "",
+});
+
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || "6211";
+// SAC for courier services; shipping is taxed at the rate of the goods
+const SHIPPING_SAC_CODE = process.env.SHIPPING_SAC_CODE || "996812";
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "DC";
+
+// Indian financial years run April to March, e.g. "2026-27", counted on
+// Indian dates
+function getFinancialYear(date) {
+  const istDate = toIstDate(date);
+  const startYear = istDate.getUTCMonth() >= 3
+    ? istDate.getUTCFullYear()
+    : istDate.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+}
+
+function normalizeState(state) {
+  return String(state || "").trim().toLowerCase();
+}
+
+// Without both states we can't show an inter-state supply, so bill it as local
+function isInterStateSupply(addressInfo) {
+  const customerState = normalizeState(addressInfo?.state);
+  const storeState = normalizeState(STORE_DETAILS.state);
+  return Boolean(customerState && storeState && customerState !== storeState);
+}
+
+// Paid orders, and pay-later orders once delivered. Orders that never went
+// ahead aren't a sale: ones still pending (e.g. refunded after a failed
+// confirmation) and ones cancelled, which can only happen before dispatch.
+function isInvoiceable(order) {
+  if (["pending", "cancelled"].includes(order.orderStatus)) return false;
+
+  return ["paid", "partially_refunded", "refunded"].includes(order.paymentStatus) ||
+    order.orderStatus === "delivered";
+}
+
+function splitTax(tax, interState) {
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundCurrency(tax / 2);
+  return { cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+}
+
+// Orders placed since tax classes store their own tax amounts; older ones are
+// worked out at the default rate
+async function buildInvoiceLines(order, interState) {
+  const products = await Product.find({
+    _id: { $in: order.cartItems.map((item) => item.productId) },
+  })
+    .lean()
+    .select("hsnCode");
+
+  const hsnCodes = new Map();
+  products.forEach((product) => {
+    hsnCodes.set(product._id.toString(), product.hsnCode);
+  });
+
+  const lines = order.cartItems.map((item) => {
+    const unitPrice = Number(item.price);
+    // Coupon discounts reduce the taxable value of the lines they apply to
+    const discount = item.discount || 0;
+    const total = roundCurrency(unitPrice * item.quantity - discount);
+    const { gstRate, taxableValue, tax } = item.gstRate !== undefined
+      ? item
+      : splitInclusiveAmount(total, DEFAULT_GST_RATE);
+
+    const variantLabel = [item.size, item.color].filter(Boolean).join(" / ");
+
+    return {
+      title: variantLabel ? `${item.title} (${variantLabel})` : item.title,
+      hsnCode: item.hsnCode || hsnCodes.get(item.productId) || DEFAULT_HSN_CODE,
+      quantity: item.quantity,
+      unitPrice,
+      discount,
+      taxableValue,
+      gstRate,
+      ...splitTax(tax, interState),
+      total,
+    };
+  });
+
+  if (order.shipping?.charge > 0) {
+    const total = roundCurrency(order.shipping.charge);
+    const { gstRate, taxableValue, tax } = order.shipping.gstRate !== undefined
+      ? order.shipping
+      : splitInclusiveAmount(total, DEFAULT_GST_RATE);
+
+    lines.push({
+      title: `Shipping (${order.shipping.method})`,
+      hsnCode: SHIPPING_SAC_CODE,
+      quantity: 1,
+      unitPrice: total,
+      discount: 0,
+      taxableValue,
+      gstRate,
+      ...splitTax(tax, interState),
+      total,
+    });
+  }
+
+  return lines;
+}
+
+function sumLines(lines, key) {
+  return roundCurrency(lines.reduce((total, line) => total + line[key], 0));
+}
+
+// Assigns the next invoice number for the current financial year and freezes
+// the tax breakdown on the order. Issuing twice returns the same invoice.
+async function issueInvoice(orderId) {
+  const existing = await Order.findById(orderId).lean();
+
+  if (!existing) {
+    throw createHttpError(404, "Order not found!");
+  }
+
+  if (existing.invoice?.number) {
+    return existing;
+  }
+
+  if (!isInvoiceable(existing)) {
+    throw createHttpError(409, "An invoice is issued once the order has been paid");
+  }
+
+  const interState = isInterStateSupply(existing.addressInfo);
+  const lines = await buildInvoiceLines(existing, interState);
+  const session = await mongoose.startSession();
+  let invoicedOrder;
+
+  try {
+    // Counter and order are written together so a number is never skipped
+    await session.withTransaction(async () => {
+      const current = await Order.findById(orderId).session(session).lean();
+      if (current.invoice?.number) {
+        invoicedOrder = current;
+        return;
+      }
+
+      const issuedAt = new Date();
+      const financialYear = getFinancialYear(issuedAt);
+      const counter = await Counter.findOneAndUpdate(
+        { _id: `invoice-${financialYear}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+      );
+
+      invoicedOrder = await Order.findByIdAndUpdate(
+        orderId,
+        {
+          $set: {
+            invoice: {
+              number: `${INVOICE_PREFIX}/${financialYear}/${String(counter.seq).padStart(6, "0")}`,
+              financialYear,
+              issuedAt,
+              placeOfSupply: existing.addressInfo?.state || STORE_DETAILS.state,
+              interState,
+              lines,
+              taxableValue: sumLines(lines, "taxableValue"),
+              cgst: sumLines(lines, "cgst"),
+              sgst: sumLines(lines, "sgst"),
+              igst: sumLines(lines, "igst"),
+              total: sumLines(lines, "total"),
+            },
+          },
+        },
+        { new: true, session }
+      ).lean();
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return invoicedOrder;
+}
+
+module.exports = {
+  STORE_DETAILS,
+  getFinancialYear,
+  isInvoiceable,
+  issueInvoice,
+};
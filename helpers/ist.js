@@ -0,0 +1,53 @@
+// helpers/ist.js - Indian calendar days and times, whatever timezone the server runs in
+const IST_OFFSET = "+05:30";
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Shifted so the UTC fields read as the date and time in India
+function toIstDate(date) {
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS);
+}
+
+// "YYYY-MM-DD" of the day it is in India at that moment
+function getIstDayKey(date) {
+  return toIstDate(date).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday, as it is in India at that moment
+function getIstWeekday(date) {
+  return toIstDate(date).getUTCDay();
+}
+
+// Start of a "YYYY-MM-DD" day in India, or null
+function getIstDayStart(day) {
+  if (!DAY_PATTERN.test(String(day || ""))) return null;
+
+  const start = new Date(`${day}T00:00:00.000${IST_OFFSET}`);
+  return isNaN(start.getTime()) ? null : start;
+}
+
+// Start of the first and end of the last of two "YYYY-MM-DD" days in India.
+// Returns null unless both are valid and in order.
+function getIstDayRange(from, to) {
+  const start = getIstDayStart(from);
+  const nextDay = getIstDayStart(to);
+  if (!start || !nextDay) return null;
+
+  const end = new Date(nextDay.getTime() + DAY_MS - 1);
+  if (end < start) return null;
+
+  return { start, end };
+}
+
+module.exports = {
+  IST_OFFSET,
+  IST_OFFSET_MS,
+  DAY_MS,
+  toIstDate,
+  getIstDayKey,
+  getIstWeekday,
+  getIstDayStart,
+  getIstDayRange,
+};
@@ -0,0 +1,181 @@
+// helpers/login-throttle.js - Backoff and lockout for failed logins, and a cap on
+// password reset mails, per account and per IP
+const LoginAudit = require("../models/LoginAudit");
+const { getThrottleStore } = require("./throttle");
+const { createHttpError } = require("./http-error");
+
+// Failures allowed before backoff starts, and the count that locks the key
+// out. An IP gets more room since many customers can share one.
+const POLICIES = Object.freeze({
+  account: {
+    freeAttempts: Number(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 5,
+    lockoutAfter: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_AFTER) || 10,
+  },
+  ip: {
+    freeAttempts: Number(process.env.LOGIN_IP_FREE_ATTEMPTS) || 20,
+    lockoutAfter: Number(process.env.LOGIN_IP_LOCKOUT_AFTER) || 100,
+  },
+});
+
+const BASE_BACKOFF_MS = 1000; // doubles with every failure past the free ones
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+// Counters reset this long after their first attempt
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Password reset mails allowed per email and per IP in each window. Reset
+// requests don't need a password, so they are counted whether or not an
+// account exists.
+const PASSWORD_RESET_LIMITS = Object.freeze({
+  account: Number(process.env.PASSWORD_RESET_ACCOUNT_LIMIT) || 3,
+  ip: Number(process.env.PASSWORD_RESET_IP_LIMIT) || 20,
+});
+const PASSWORD_RESET_WINDOW_MS = 60 * 60 * 1000;
+
+// Each key has an attempt counter and, once it is backing off or locked out,
+// a block entry next to it
+function getKeys({ email, ip }, prefix = "login") {
+  const keys = [];
+  if (email) keys.push({ scope: "account", key: `${prefix}:account:${email}` });
+  if (ip) keys.push({ scope: "ip", key: `${prefix}:ip:${ip}` });
+  return keys;
+}
+
+function getBlockKey(key) {
+  return `${key}:blocked`;
+}
+
+async function audit({ email, userId, ip, userAgent }, reason) {
+  try {
+    await LoginAudit.create({ email, userId, ip, userAgent, reason });
+  } catch (error) {
+    console.error("Login audit error:", error);
+  }
+}
+
+async function blockKey(store, key, block) {
+  await store.set(getBlockKey(key), block, block.blockedUntil - Date.now());
+}
+
+// Audits the refusal and builds the 429 for it
+async function refuseLogin(context, block) {
+  const retryAfter = Math.ceil((block.blockedUntil - Date.now()) / 1000);
+  await audit(context, block.locked ? "locked" : "throttled");
+
+  const error = createHttpError(
+    429,
+    block.locked
+      ? `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `Too many failed attempts. Try again in ${retryAfter} second(s).`,
+    block.locked ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED"
+  );
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Throws a 429 while the account or IP is backing off or locked out. The
+// refusal is audited too.
+async function checkLoginAllowed(context) {
+  const store = getThrottleStore();
+
+  for (const { key } of getKeys(context)) {
+    const block = await store.get(getBlockKey(key));
+    if (block?.blockedUntil > Date.now()) {
+      throw await refuseLogin(context, block);
+    }
+  }
+}
+
+// Counts the attempt against the account and the IP before the password is
+// checked, so parallel requests can't all get past checkLoginAllowed before
+// the first failure is recorded. Attempts past the lockout count are refused
+// and lock the key. Resolves to the counts recordLoginFailure needs.
+async function recordLoginAttempt(context) {
+  const store = getThrottleStore();
+  const keys = getKeys(context);
+  const counters = await Promise.all(
+    keys.map(({ key }) => store.increment(key, FAILURE_WINDOW_MS))
+  );
+
+  const attempts = {};
+  for (const [index, { scope, key }] of keys.entries()) {
+    attempts[scope] = counters[index].count;
+
+    if (attempts[scope] > POLICIES[scope].lockoutAfter) {
+      const block = { locked: true, blockedUntil: Date.now() + LOCKOUT_MS };
+      await blockKey(store, key, block);
+      throw await refuseLogin(context, block);
+    }
+  }
+
+  return attempts;
+}
+
+// Backs the account and the IP off, or locks them out, by the attempts
+// recordLoginAttempt counted, and audits the failure. `reason` is
+// "unknown-email" or "wrong-password".
+async function recordLoginFailure(context, reason, attempts) {
+  const store = getThrottleStore();
+  const now = Date.now();
+
+  for (const { scope, key } of getKeys(context)) {
+    const policy = POLICIES[scope];
+    const failures = attempts[scope] || 0;
+
+    if (failures >= policy.lockoutAfter) {
+      await blockKey(store, key, { locked: true, blockedUntil: now + LOCKOUT_MS });
+    } else if (failures > policy.freeAttempts) {
+      const backoff = BASE_BACKOFF_MS * 2 ** (failures - policy.freeAttempts - 1);
+      await blockKey(store, key, { blockedUntil: now + Math.min(backoff, MAX_BACKOFF_MS) });
+    }
+  }
+
+  await audit(context, reason);
+}
+
+// Counts a reset request against the email and the IP, and throws a 429 once
+// either is over its limit for the window
+async function checkPasswordResetAllowed(context) {
+  const store = getThrottleStore();
+  const keys = getKeys(context, "password-reset");
+  const counters = await Promise.all(
+    keys.map(({ key }) => store.increment(key, PASSWORD_RESET_WINDOW_MS))
+  );
+
+  for (const [index, { scope }] of keys.entries()) {
+    const { count, expiresAt } = counters[index];
+    if (count <= PASSWORD_RESET_LIMITS[scope]) continue;
+
+    const retryAfter = Math.ceil((expiresAt - Date.now()) / 1000);
+    const error = createHttpError(
+      429,
+      `Too many reset requests. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      "PASSWORD_RESET_THROTTLED"
+    );
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+}
+
+// A correct password clears the account's counter and any backoff. The IP
+// only takes back this attempt, so logging into one account doesn't reset
+// guessing at others.
+async function recordLoginSuccess({ email, ip }) {
+  const store = getThrottleStore();
+
+  if (email) {
+    const key = `login:account:${email}`;
+    await Promise.all([store.delete(key), store.delete(getBlockKey(key))]);
+  }
+  if (ip) {
+    await store.increment(`login:ip:${ip}`, FAILURE_WINDOW_MS, -1);
+  }
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkPasswordResetAllowed,
+};
@@ -0,0 +1,9 @@
+// helpers/mail/console-transport.js - Prints mail to the server log (development)
+async function send({ from, to, subject, text }) {
+  console.log(`📧 Mail to ${to}\nFrom: ${from}\nSubject: ${subject}\n\n${text}\n`);
+}
+
+module.exports = {
+  name: "console",
+  send,
+};
@@ -0,0 +1,23 @@
+// helpers/mail/file-transport.js - Writes each mail to a JSON file, for tests
+// and local inspection
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mail");
+
+async function send(message) {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+
+  const sentAt = new Date();
+  const fileName = `${sentAt.getTime()}-${crypto.randomBytes(4).toString("hex")}.json`;
+  await fs.writeFile(
+    path.join(MAIL_DIR, fileName),
+    JSON.stringify({ ...message, sentAt }, null, 2)
+  );
+}
+
+module.exports = {
+  name: "file",
+  send,
+};
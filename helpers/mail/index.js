@@ -0,0 +1,35 @@
+// helpers/mail/index.js - Outgoing mail transport registry
+//
+// Every transport exposes:
+//   name
+//   send({ from, to, subject, text, html }) -> resolves once handed over
+// Failures are thrown; callers decide whether a lost mail should fail the
+// request.
+const consoleTransport = require("./console-transport");
+const fileTransport = require("./file-transport");
+
+const TRANSPORTS = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+};
+
+// MAIL_TRANSPORT="file" - console by default, so local setups need nothing
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || consoleTransport.name).trim().toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || "Darzie's Couture <no-reply@darziescouture.com>";
+
+function getMailTransport() {
+  const transport = TRANSPORTS[MAIL_TRANSPORT];
+  if (!transport) {
+    console.warn(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}, using console`);
+    return consoleTransport;
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getMailTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+};
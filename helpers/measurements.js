@@ -0,0 +1,65 @@
+// helpers/measurements.js - Body measurement fields, validation and order snapshots
+
+// Standard fields on every profile, all in the profile's unit
+const MEASUREMENT_FIELDS = Object.freeze([
+  "neck",
+  "shoulder",
+  "bust",
+  "underBust",
+  "waist",
+  "hip",
+  "armhole",
+  "bicep",
+  "sleeve",
+  "length",
+  "thigh",
+  "inseam",
+]);
+
+const MEASUREMENT_UNITS = Object.freeze(["cm", "in"]);
+
+const MAX_PROFILES_PER_USER = 20;
+
+// Keeps known fields with a positive number and reports anything else.
+// Returns { values, invalidFields }; blank fields are dropped, not errors.
+function sanitizeMeasurementValues(input = {}) {
+  const values = {};
+  const invalidFields = [];
+
+  MEASUREMENT_FIELDS.forEach((field) => {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === "") return;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      invalidFields.push(field);
+      return;
+    }
+    values[field] = Math.round(value * 100) / 100;
+  });
+
+  return { values, invalidFields };
+}
+
+// Frozen copy stored on cart and order lines, so later edits to the profile
+// don't change what the workshop stitches
+function buildMeasurementSnapshot(measurement) {
+  if (!measurement) return null;
+
+  return {
+    measurementId: measurement._id.toString(),
+    name: measurement.name,
+    unit: measurement.unit,
+    revision: measurement.revision,
+    values: { ...measurement.values },
+    notes: measurement.notes,
+  };
+}
+
+module.exports = {
+  MEASUREMENT_FIELDS,
+  MEASUREMENT_UNITS,
+  MAX_PROFILES_PER_USER,
+  sanitizeMeasurementValues,
+  buildMeasurementSnapshot,
+};
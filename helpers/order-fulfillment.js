@@ -0,0 +1,293 @@
+// helpers/order-fulfillment.js - Shared payment confirmation path for orders
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const { decrementStock, restoreStock } = require("./inventory");
+const { getPaymentProvider } = require("./payments");
+const { createHttpError } = require("./http-error");
+const { createProductionJobs, cancelProductionJobs } = require("./production");
+const { redeemCoupon, releaseCoupon } = require("./coupons");
+const { getAmountDue, spendStoreCredit, restoreStoreCredit } = require("./store-credit");
+const {
+  ORDER_STATUSES,
+  createStatusEntry,
+  transitionOrderStatus,
+} = require("./order-status");
+
+// Orders in these states have already been through capture
+const SETTLED_PAYMENT_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+function isPaymentSettled(order) {
+  return SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+}
+
+// Confirms an order, takes its stock, counts its coupon, spends its store
+// credit, queues its workshop jobs and clears the cart in one transaction.
+// Transactions need MongoDB running as a replica set (Atlas always is).
+// Resolves to { order, alreadyProcessed }; a failed attempt is recorded on the
+// order as failureReason and rethrown.
+async function confirmOrder(orderId, { paymentStatus, paymentRefs, note }) {
+  const session = await mongoose.startSession();
+  let alreadyProcessed = false;
+
+  try {
+    await session.withTransaction(async () => {
+      alreadyProcessed = false;
+
+      const order = await Order.findOneAndUpdate(
+        {
+          _id: orderId,
+          orderStatus: ORDER_STATUSES.PENDING,
+          paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES },
+          stockReserved: { $ne: true },
+        },
+        {
+          $set: {
+            paymentStatus,
+            orderStatus: ORDER_STATUSES.CONFIRMED,
+            stockReserved: true,
+            ...paymentRefs,
+            orderUpdateDate: new Date(),
+          },
+          $unset: { failureReason: "" },
+          $push: { statusHistory: createStatusEntry(ORDER_STATUSES.CONFIRMED, { note }) },
+        },
+        { new: true, session }
+      );
+
+      if (!order) {
+        // A repeated capture/webhook is a no-op; anything else (e.g. the
+        // customer cancelled meanwhile) can't be confirmed any more
+        const existing = await Order.findById(orderId).session(session).lean();
+        if (existing && (isPaymentSettled(existing) || existing.stockReserved)) {
+          alreadyProcessed = true;
+          return;
+        }
+        throw createHttpError(409, "Order is no longer awaiting payment", "ORDER_NOT_PENDING");
+      }
+
+      await decrementStock(order.cartItems, session);
+      await redeemCoupon(order, session);
+      await spendStoreCredit(order, session);
+      await createProductionJobs(order, session);
+
+      if (order.cartId) {
+        await Cart.deleteOne({ _id: order.cartId }, { session });
+      }
+    });
+  } catch (error) {
+    await Order.updateOne(
+      {
+        _id: orderId,
+        paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES },
+        stockReserved: { $ne: true },
+      },
+      {
+        $set: {
+          paymentStatus: "failed",
+          failureReason: error.message,
+          ...paymentRefs,
+          orderUpdateDate: new Date(),
+        },
+      }
+    ).catch((recordError) => {
+      console.error("Failed to record confirmation failure:", recordError);
+    });
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const order = await Order.findById(orderId);
+  return { order, alreadyProcessed };
+}
+
+// Used once the provider reports the money as captured
+function confirmOrderPayment(orderId, { paymentId, payerId }) {
+  // Providers don't all report a payer, so only store what we were given
+  const paymentRefs = {};
+  if (paymentId) paymentRefs.paymentId = paymentId;
+  if (payerId) paymentRefs.payerId = payerId;
+
+  return confirmOrder(orderId, {
+    paymentStatus: "paid",
+    paymentRefs,
+    note: "Payment received",
+  });
+}
+
+// Used when the provider has already taken the money (capture or webhook). If
+// the order can't be fulfilled, e.g. stock ran out, the payment is refunded.
+async function settleCapturedPayment(orderId, payment) {
+  try {
+    return await confirmOrderPayment(orderId, payment);
+  } catch (error) {
+    if (payment.paymentId) {
+      const failedOrder = await Order.findById(orderId);
+      await refundOrderPayment(failedOrder, { reason: error.message }).catch((refundError) => {
+        console.error("Automatic refund failed:", refundError);
+      });
+    }
+    throw error;
+  }
+}
+
+// Used by pay-later methods (COD): the order is confirmed, payment stays pending
+function reserveOrderStock(orderId) {
+  return confirmOrder(orderId, {
+    paymentStatus: "pending",
+    paymentRefs: {},
+    note: "Order placed, payment due on delivery",
+  });
+}
+
+// Used when store credit covers the whole order, so no provider is involved
+function confirmStoreCreditOrder(orderId) {
+  return confirmOrder(orderId, {
+    paymentStatus: "paid",
+    paymentRefs: {},
+    note: "Paid with store credit",
+  });
+}
+
+// Records a pay-later payment once it has been collected
+async function markOrderPaid(orderId) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: "pending", stockReserved: true },
+    { $set: { paymentStatus: "paid", orderUpdateDate: new Date() } },
+    { new: true }
+  );
+
+  if (!order) {
+    throw createHttpError(400, "Only confirmed orders awaiting payment can be marked paid");
+  }
+
+  return order;
+}
+
+// What can still be refunded through the provider. Store credit isn't part of
+// it; cancelling gives that back as credit.
+function getRefundableAmount(order) {
+  const alreadyRefunded = (order.refunds || []).reduce(
+    (total, refund) => total + refund.amount,
+    0
+  );
+  return Math.round((getAmountDue(order) - alreadyRefunded) * 100) / 100;
+}
+
+// Refunds the captured payment, in full unless an amount is given
+async function refundOrderPayment(order, { amount, reason } = {}) {
+  const provider = getPaymentProvider(order.paymentMethod || "paypal");
+
+  if (!provider) {
+    throw createHttpError(400, `Unsupported payment method: ${order.paymentMethod}`);
+  }
+
+  // Failed captures can still hold money the provider took before we gave up
+  if (!isPaymentSettled(order) && !order.paymentId) {
+    throw createHttpError(400, "Order has no captured payment to refund");
+  }
+
+  const refundable = getRefundableAmount(order);
+  const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw createHttpError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  const refund = await provider.refundPayment(order, refundAmount);
+  const fullyRefunded = refundAmount >= refundable - 0.01;
+
+  return Order.findByIdAndUpdate(
+    order._id,
+    {
+      $push: {
+        refunds: {
+          refundId: refund.refundId,
+          amount: refundAmount,
+          reason,
+          createdAt: new Date(),
+        },
+      },
+      $set: {
+        paymentStatus: fullyRefunded ? "refunded" : "partially_refunded",
+        orderUpdateDate: new Date(),
+      },
+    },
+    { new: true }
+  );
+}
+
+// Cancels an order, puts reserved stock back and refunds whatever was paid.
+// `fromStatuses` limits which states the caller may cancel from.
+// Resolves to { order, refundError } - a failed refund doesn't undo the
+// cancellation, it is left on the order for staff to follow up.
+async function cancelOrder(orderId, { changedBy, actor, note, fromStatuses } = {}) {
+  const session = await mongoose.startSession();
+  let cancelledOrder;
+
+  try {
+    await session.withTransaction(async () => {
+      const current = await Order.findById(orderId).session(session).lean();
+
+      // An order store credit paid for in full is refunded by restoring it
+      const set = { stockReserved: false };
+      if (current.stockReserved && current.paymentStatus === "paid" && getAmountDue(current) <= 0) {
+        set.paymentStatus = "refunded";
+      }
+
+      cancelledOrder = await transitionOrderStatus(orderId, ORDER_STATUSES.CANCELLED, {
+        session,
+        changedBy,
+        actor,
+        note,
+        fromStatuses,
+        set,
+      });
+
+      if (current.stockReserved) {
+        await restoreStock(current.cartItems, session);
+        await releaseCoupon(current, session);
+        await restoreStoreCredit(current, session);
+      }
+
+      await cancelProductionJobs(orderId, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  let refundError = null;
+  if (
+    ["paid", "partially_refunded"].includes(cancelledOrder.paymentStatus) &&
+    getRefundableAmount(cancelledOrder) > 0
+  ) {
+    try {
+      cancelledOrder = await refundOrderPayment(cancelledOrder, {
+        reason: note || "Order cancelled",
+      });
+    } catch (error) {
+      console.error("Refund after cancellation failed:", error);
+      refundError = error;
+      cancelledOrder = await Order.findByIdAndUpdate(
+        orderId,
+        { $set: { failureReason: `Refund failed: ${error.message}` } },
+        { new: true }
+      );
+    }
+  }
+
+  return { order: cancelledOrder, refundError };
+}
+
+module.exports = {
+  confirmOrderPayment,
+  settleCapturedPayment,
+  reserveOrderStock,
+  confirmStoreCreditOrder,
+  markOrderPaid,
+  getRefundableAmount,
+  refundOrderPayment,
+  cancelOrder,
+  isPaymentSettled,
+};
@@ -0,0 +1,144 @@
+// helpers/order-status.js - Order lifecycle states, allowed transitions and history
+const Order = require("../models/Order");
+const { createHttpError } = require("./http-error");
+
+const ORDER_STATUSES = Object.freeze({
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  IN_STITCHING: "in-stitching",
+  READY: "ready",
+  SHIPPED: "shipped",
+  DELIVERED: "delivered",
+  CANCELLED: "cancelled",
+  RETURNED: "returned",
+});
+
+const {
+  PENDING,
+  CONFIRMED,
+  IN_STITCHING,
+  READY,
+  SHIPPED,
+  DELIVERED,
+  CANCELLED,
+  RETURNED,
+} = ORDER_STATUSES;
+
+// from -> allowed next states. Ready-to-wear pieces can skip stitching.
+// Pending orders are only confirmed by confirmOrder in order-fulfillment.js,
+// which takes the stock and payment with them, so that move isn't listed here.
+// "returned" is listed for the return flow; staff can't set it directly.
+const ORDER_STATUS_TRANSITIONS = Object.freeze({
+  [PENDING]: [CANCELLED],
+  [CONFIRMED]: [IN_STITCHING, READY, CANCELLED],
+  [IN_STITCHING]: [READY, CANCELLED],
+  [READY]: [SHIPPED, CANCELLED],
+  [SHIPPED]: [DELIVERED, RETURNED],
+  [DELIVERED]: [RETURNED],
+  [CANCELLED]: [],
+  [RETURNED]: [],
+});
+
+// Forward progress of an order, used for "before X" style rules
+const ORDER_STATUS_SEQUENCE = Object.freeze([
+  PENDING,
+  CONFIRMED,
+  IN_STITCHING,
+  READY,
+  SHIPPED,
+  DELIVERED,
+]);
+
+// Who made a change, as shown on the customer's timeline
+const STATUS_ACTORS = Object.freeze({
+  CUSTOMER: "customer",
+  STAFF: "staff",
+  SYSTEM: "system",
+});
+
+function isValidOrderStatus(status) {
+  return Object.values(ORDER_STATUSES).includes(status);
+}
+
+function canTransition(fromStatus, toStatus) {
+  return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function getStatusesThatCanMoveTo(toStatus) {
+  return Object.keys(ORDER_STATUS_TRANSITIONS).filter((fromStatus) =>
+    canTransition(fromStatus, toStatus)
+  );
+}
+
+function getStatusesBefore(status) {
+  const index = ORDER_STATUS_SEQUENCE.indexOf(status);
+  return index === -1 ? [] : ORDER_STATUS_SEQUENCE.slice(0, index);
+}
+
+function createStatusEntry(status, { changedBy, actor = STATUS_ACTORS.SYSTEM, note } = {}) {
+  return {
+    status,
+    changedBy: changedBy ? String(changedBy) : undefined,
+    actor,
+    note,
+    changedAt: new Date(),
+  };
+}
+
+// Atomically moves an order to toStatus and appends to its history. The
+// transition rules are part of the query, so concurrent updates can't race.
+// `fromStatuses` narrows the allowed starting states further.
+async function transitionOrderStatus(orderId, toStatus, options = {}) {
+  const { session, set = {}, fromStatuses } = options;
+
+  if (!isValidOrderStatus(toStatus)) {
+    throw createHttpError(400, `Unknown order status: ${toStatus}`);
+  }
+
+  const allowedFrom = getStatusesThatCanMoveTo(toStatus).filter(
+    (status) => !fromStatuses || fromStatuses.includes(status)
+  );
+
+  const now = new Date();
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, orderStatus: { $in: allowedFrom } },
+    {
+      $set: { ...set, orderStatus: toStatus, orderUpdateDate: now },
+      $push: { statusHistory: createStatusEntry(toStatus, options) },
+    },
+    { new: true, session }
+  );
+
+  if (!order) {
+    const existing = await Order.findById(orderId).session(session || null).lean();
+    if (!existing) {
+      throw createHttpError(404, "Order not found!");
+    }
+    throw createHttpError(
+      409,
+      `Cannot change order status from ${existing.orderStatus} to ${toStatus}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  return order;
+}
+
+// Customer-facing view of the history: no staff ids
+function buildStatusTimeline(order) {
+  return (order.statusHistory || [])
+    .map(({ status, actor, note, changedAt }) => ({ status, actor, note, changedAt }))
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  STATUS_ACTORS,
+  isValidOrderStatus,
+  canTransition,
+  getStatusesBefore,
+  createStatusEntry,
+  transitionOrderStatus,
+  buildStatusTimeline,
+};
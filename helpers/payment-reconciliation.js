@@ -0,0 +1,83 @@
+// helpers/payment-reconciliation.js - Settles payments the browser never came back for
+const Order = require("../models/Order");
+const { getPaymentProvider, getReconcilingProviders } = require("./payments");
+const { settleCapturedPayment } = require("./order-fulfillment");
+
+// Orders younger than this are left to the customer's own /capture call
+const MIN_PENDING_MS = 15 * 60 * 1000;
+// A buyer approval PayPal hasn't seen executed lapses after about 3 hours;
+// orders still waiting by then are marked failed
+const PAYMENT_EXPIRY_MS = (Number(process.env.PAYMENT_EXPIRY_HOURS) || 3) * 60 * 60 * 1000;
+const RECONCILE_INTERVAL_MS = (Number(process.env.PAYMENT_RECONCILE_MINUTES) || 10) * 60 * 1000;
+const BATCH_SIZE = 50;
+
+async function markPaymentFailed(orderId, failureReason) {
+  await Order.updateOne(
+    { _id: orderId, orderStatus: "pending", paymentStatus: "pending" },
+    { $set: { paymentStatus: "failed", failureReason, orderUpdateDate: new Date() } }
+  );
+}
+
+async function reconcileOrder(order) {
+  const provider = getPaymentProvider(order.paymentMethod);
+
+  try {
+    const payment = await provider.reconcilePayment(order);
+
+    if (payment) {
+      // Same path as /capture; stock failures are refunded there
+      await settleCapturedPayment(order._id, payment);
+    } else if (Date.now() - order.orderDate.getTime() > PAYMENT_EXPIRY_MS) {
+      await markPaymentFailed(order._id, "Payment was not completed in time");
+    }
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      await markPaymentFailed(order._id, error.message);
+    } else {
+      // Provider unreachable - try again on the next sweep
+      console.error(`Payment reconciliation error for order ${order._id}:`, error);
+    }
+  }
+}
+
+// Asks the providers about orders still awaiting payment
+async function reconcilePendingPayments() {
+  const orders = await Order.find({
+    orderStatus: "pending",
+    paymentStatus: "pending",
+    paymentMethod: { $in: getReconcilingProviders() },
+    providerOrderId: { $exists: true, $ne: null },
+    orderDate: { $lt: new Date(Date.now() - MIN_PENDING_MS) },
+  })
+    .sort({ orderDate: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const order of orders) {
+    await reconcileOrder(order);
+  }
+
+  return orders.length;
+}
+
+// Started once the database is connected
+function startPaymentReconciliation() {
+  let running = false;
+
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcilePendingPayments();
+    } catch (error) {
+      console.error("Payment reconciliation sweep error:", error);
+    } finally {
+      running = false;
+    }
+  }, RECONCILE_INTERVAL_MS);
+}
+
+module.exports = {
+  reconcilePendingPayments,
+  startPaymentReconciliation,
+};
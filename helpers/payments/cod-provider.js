@@ -0,0 +1,70 @@
+// helpers/payments/cod-provider.js - Cash on Delivery adapter (no gateway)
+const { createHttpError } = require("../http-error");
+const { getAmountDue } = require("../store-credit");
+
+const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE) || 25000;
+
+// COD_ELIGIBLE_PINCODES="110001,400*" - a trailing * matches a prefix.
+// Leaving it unset makes every pincode eligible.
+// The limit is on the cash collected, after any store credit.
+const COD_ELIGIBLE_PINCODES = (process.env.COD_ELIGIBLE_PINCODES || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean);
+
+function isPincodeEligible(pincode) {
+  if (COD_ELIGIBLE_PINCODES.length === 0) return true;
+
+  const normalizedPincode = String(pincode || "").trim();
+  return COD_ELIGIBLE_PINCODES.some((entry) =>
+    entry.endsWith("*")
+      ? normalizedPincode.startsWith(entry.slice(0, -1))
+      : normalizedPincode === entry
+  );
+}
+
+function checkEligibility(order) {
+  if (getAmountDue(order) > COD_MAX_ORDER_VALUE) {
+    throw createHttpError(
+      400,
+      `Cash on delivery is available for orders up to ₹${COD_MAX_ORDER_VALUE}`,
+      "COD_NOT_ELIGIBLE"
+    );
+  }
+
+  if (!isPincodeEligible(order.addressInfo?.pincode)) {
+    throw createHttpError(
+      400,
+      "Cash on delivery is not available for this pincode",
+      "COD_NOT_ELIGIBLE"
+    );
+  }
+}
+
+async function createPayment() {
+  return { providerOrderId: null, response: {} };
+}
+
+async function capturePayment() {
+  throw createHttpError(400, "Cash on delivery orders are paid on delivery");
+}
+
+// Cash refunds are handed over by staff, so there is nothing to call
+async function refundPayment() {
+  return { refundId: null };
+}
+
+async function verifyWebhook() {
+  throw createHttpError(404, "Cash on delivery has no webhooks");
+}
+
+module.exports = {
+  name: "cod",
+  // Orders are confirmed and stock reserved at checkout; payment stays pending
+  confirmsOnCreate: true,
+  checkEligibility,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  verifyWebhook,
+};
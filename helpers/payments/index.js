@@ -0,0 +1,67 @@
+// helpers/payments/index.js - Payment provider registry
+//
+// Every provider adapter exposes the same operations:
+//   createPayment(order)           -> { providerOrderId, response }
+//   capturePayment(order, payload) -> { paymentId, payerId }
+//   refundPayment(order, amount)   -> { refundId }
+//   verifyWebhook({ headers, rawBody }) -> { id, type, providerOrderId, paymentId, payerId, amount }
+//     `type` is normalised to "payment.captured" / "payment.failed" where known
+// `response` is merged into the createOrder reply for the frontend. Failures
+// are thrown as errors carrying an HTTP `status`.
+//
+// Optional:
+//   checkEligibility(order) - throws when the method can't be used for an order
+//   confirmsOnCreate        - confirm the order and reserve stock at checkout
+//                             instead of waiting for a capture (pay later)
+//   reconcilePayment(order) - asks the provider about a payment still pending
+//                             here: { paymentId, payerId } once paid, null
+//                             while waiting, throws when it can't complete.
+//                             See helpers/payment-reconciliation.js
+const paypalProvider = require("./paypal-provider");
+const razorpayProvider = require("./razorpay-provider");
+const codProvider = require("./cod-provider");
+
+const ADAPTERS = {
+  [paypalProvider.name]: paypalProvider,
+  [razorpayProvider.name]: razorpayProvider,
+  [codProvider.name]: codProvider,
+};
+
+// PAYMENT_PROVIDERS="razorpay,paypal" - the first entry is the default
+const ENABLED_PROVIDERS = (process.env.PAYMENT_PROVIDERS || "paypal,razorpay,cod")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter((name) => {
+    if (ADAPTERS[name]) return true;
+    if (name) console.warn(`Unknown payment provider in PAYMENT_PROVIDERS: ${name}`);
+    return false;
+  });
+
+const DEFAULT_PAYMENT_METHOD = ENABLED_PROVIDERS[0];
+
+// Disabling a provider only stops new checkouts; existing orders can still be
+// captured and refunded through it
+function getPaymentProvider(name) {
+  return ADAPTERS[name] || null;
+}
+
+// Names of the providers that can be asked about pending payments
+function getReconcilingProviders() {
+  return Object.keys(ADAPTERS).filter((name) => ADAPTERS[name].reconcilePayment);
+}
+
+function isPaymentMethodEnabled(name) {
+  return ENABLED_PROVIDERS.includes(name);
+}
+
+function getEnabledPaymentMethods() {
+  return [...ENABLED_PROVIDERS];
+}
+
+module.exports = {
+  DEFAULT_PAYMENT_METHOD,
+  getPaymentProvider,
+  getReconcilingProviders,
+  isPaymentMethodEnabled,
+  getEnabledPaymentMethods,
+};
@@ -0,0 +1,201 @@
+// helpers/payments/paypal-provider.js - PayPal REST (v1 payments) adapter
+const paypal = require("../paypal");
+const { createHttpError } = require("../http-error");
+const { getAmountDue } = require("../store-credit");
+
+const PAYPAL_CURRENCY = process.env.PAYPAL_CURRENCY || "USD";
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID || "";
+const FRONTEND_URL = process.env.NODE_ENV === "production"
+  ? "https://darziescouture.com"
+  : "http://localhost:5173";
+
+// paypal-rest-sdk is callback based
+function callPaypal(operation, ...args) {
+  return new Promise((resolve, reject) => {
+    operation(...args, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+function getSaleId(payment) {
+  const relatedResources = payment.transactions?.[0]?.related_resources || [];
+  return relatedResources.find((resource) => resource.sale)?.sale.id;
+}
+
+function toPaypalItem(name, sku, price, quantity) {
+  return {
+    name,
+    sku,
+    price: Number(price).toFixed(2),
+    currency: PAYPAL_CURRENCY,
+    quantity,
+  };
+}
+
+// PayPal checks that the items add up to the total, so the coupon discount
+// and store credit go in as negative items
+function buildPaypalItems(order) {
+  const items = order.cartItems.map((item) =>
+    toPaypalItem(item.title, item.productId, item.price, item.quantity)
+  );
+
+  if (order.coupon?.discount > 0) {
+    items.push(toPaypalItem(`Coupon ${order.coupon.code}`, "COUPON", -order.coupon.discount, 1));
+  }
+
+  if (order.storeCreditUsed > 0) {
+    items.push(toPaypalItem("Store credit", "STORE-CREDIT", -order.storeCreditUsed, 1));
+  }
+
+  return items;
+}
+
+async function createPayment(order) {
+  const items = buildPaypalItems(order);
+  // Shipping is charged beside the items: subtotal + shipping = total
+  const itemsTotal = items.reduce((total, item) => total + Number(item.price) * item.quantity, 0);
+
+  const create_payment_json = {
+    intent: "sale",
+    payer: {
+      payment_method: "paypal",
+    },
+    redirect_urls: {
+      return_url: `${FRONTEND_URL}/shop/paypal-return`,
+      cancel_url: `${FRONTEND_URL}/shop/paypal-cancel`,
+    },
+    transactions: [
+      {
+        item_list: {
+          items,
+        },
+        amount: {
+          currency: PAYPAL_CURRENCY,
+          total: getAmountDue(order).toFixed(2),
+          details: {
+            subtotal: itemsTotal.toFixed(2),
+            shipping: Number(order.shipping?.charge || 0).toFixed(2),
+          },
+        },
+        description: `Order from Darzie's Couture - ${order.cartItems.length} items`,
+      },
+    ],
+  };
+
+  const paymentInfo = await callPaypal(
+    paypal.payment.create.bind(paypal.payment),
+    create_payment_json
+  );
+
+  const approvalURL = paymentInfo.links.find(
+    (link) => link.rel === "approval_url"
+  ).href;
+
+  return { providerOrderId: paymentInfo.id, response: { approvalURL } };
+}
+
+async function capturePayment(order, { paymentId, payerId }) {
+  if (!paymentId || !payerId) {
+    throw createHttpError(400, "Missing payment information");
+  }
+
+  if (order.providerOrderId && paymentId !== order.providerOrderId) {
+    throw createHttpError(400, "Payment does not match this order");
+  }
+
+  const payment = await callPaypal(
+    paypal.payment.execute.bind(paypal.payment),
+    paymentId,
+    { payer_id: payerId }
+  );
+
+  if (payment.state !== "approved") {
+    throw createHttpError(400, "Payment has not been completed");
+  }
+
+  return { paymentId, payerId };
+}
+
+// PayPal sends no webhook when the buyer approves a v1 payment; it waits for
+// us to execute it. When the tab closes before /capture, the reconciliation
+// sweep executes it here instead. Resolves to { paymentId, payerId } once
+// paid, null while the buyer hasn't approved yet, and throws when the
+// payment can't complete any more.
+async function reconcilePayment(order) {
+  const payment = await callPaypal(
+    paypal.payment.get.bind(paypal.payment),
+    order.providerOrderId
+  );
+  const payerId = payment.payer?.payer_info?.payer_id;
+
+  if (payment.state === "approved") {
+    return { paymentId: payment.id, payerId };
+  }
+
+  if (payment.state !== "created") {
+    throw createHttpError(400, `PayPal payment is ${payment.state}`);
+  }
+
+  if (!payerId) return null;
+
+  return capturePayment(order, { paymentId: payment.id, payerId });
+}
+
+async function refundPayment(order, amount) {
+  const payment = await callPaypal(
+    paypal.payment.get.bind(paypal.payment),
+    order.paymentId
+  );
+  const saleId = getSaleId(payment);
+
+  if (!saleId) {
+    throw createHttpError(400, "No completed PayPal sale found for this order");
+  }
+
+  const refund = await callPaypal(paypal.sale.refund.bind(paypal.sale), saleId, {
+    amount: { total: Number(amount).toFixed(2), currency: PAYPAL_CURRENCY },
+  });
+
+  return { refundId: refund.id };
+}
+
+async function verifyWebhook({ headers, rawBody }) {
+  if (!PAYPAL_WEBHOOK_ID) {
+    throw createHttpError(503, "PayPal webhooks are not configured");
+  }
+
+  // The SDK upper-cases header names in place, so hand it a copy
+  const verification = await callPaypal(
+    paypal.notification.webhookEvent.verify.bind(paypal.notification.webhookEvent),
+    { ...headers },
+    rawBody.toString("utf8"),
+    PAYPAL_WEBHOOK_ID
+  );
+
+  if (verification.verification_status !== "SUCCESS") {
+    throw createHttpError(400, "Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString("utf8"));
+  const resource = event.resource || {};
+  const types = {
+    "PAYMENT.SALE.COMPLETED": "payment.captured",
+    "PAYMENT.SALE.DENIED": "payment.failed",
+  };
+
+  return {
+    id: event.id,
+    type: types[event.event_type] || event.event_type,
+    providerOrderId: resource.parent_payment,
+    paymentId: resource.parent_payment,
+    amount: resource.amount ? Number(resource.amount.total) : undefined,
+  };
+}
+
+module.exports = {
+  name: "paypal",
+  createPayment,
+  capturePayment,
+  reconcilePayment,
+  refundPayment,
+  verifyWebhook,
+};
@@ -0,0 +1,113 @@
+// helpers/payments/razorpay-provider.js - Razorpay Checkout adapter (INR)
+const crypto = require("crypto");
+const razorpay = require("../razorpay");
+const { createHttpError } = require("../http-error");
+const { getAmountDue } = require("../store-credit");
+
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || "";
+
+async function createPayment(order) {
+  const razorpayOrder = await razorpay.createOrder({
+    amount: getAmountDue(order),
+    receipt: order._id.toString(),
+    notes: { userId: String(order.userId) },
+  });
+
+  // The frontend opens Razorpay Checkout with these values
+  return {
+    providerOrderId: razorpayOrder.id,
+    response: {
+      razorpayOrder: {
+        id: razorpayOrder.id,
+        amount: razorpayOrder.amount,
+        currency: razorpayOrder.currency,
+        keyId: razorpay.RAZORPAY_KEY_ID,
+      },
+    },
+  };
+}
+
+// Confirms with Razorpay that the payment belongs to this order and is captured
+async function capturePayment(order, payload) {
+  const {
+    razorpay_payment_id: razorpayPaymentId,
+    razorpay_signature: razorpaySignature,
+  } = payload;
+
+  if (!razorpayPaymentId || !razorpaySignature) {
+    throw createHttpError(400, "Missing payment information");
+  }
+
+  // Sign against our stored Razorpay order id, not one sent by the client
+  const validSignature = razorpay.verifyPaymentSignature({
+    orderId: order.providerOrderId,
+    paymentId: razorpayPaymentId,
+    signature: razorpaySignature,
+  });
+
+  if (!validSignature) {
+    throw createHttpError(400, "Payment signature verification failed");
+  }
+
+  let payment = await razorpay.fetchPayment(razorpayPaymentId);
+  const amountDue = getAmountDue(order);
+
+  if (
+    payment.order_id !== order.providerOrderId ||
+    payment.amount !== razorpay.toPaise(amountDue)
+  ) {
+    throw createHttpError(400, "Payment does not match this order");
+  }
+
+  if (payment.status === "authorized") {
+    payment = await razorpay.capturePayment(razorpayPaymentId, amountDue);
+  }
+
+  if (payment.status !== "captured") {
+    throw createHttpError(400, "Payment has not been completed");
+  }
+
+  return { paymentId: payment.id, payerId: payment.email || payment.contact };
+}
+
+async function refundPayment(order, amount) {
+  const refund = await razorpay.refundPayment(order.paymentId, amount);
+  return { refundId: refund.id };
+}
+
+// Webhook signature: HMAC-SHA256 of the raw body with the webhook secret.
+// Without a secret anyone could sign a body, so webhooks are refused.
+async function verifyWebhook({ headers, rawBody }) {
+  if (!RAZORPAY_WEBHOOK_SECRET) {
+    throw createHttpError(503, "Razorpay webhooks are not configured");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+
+  if (!razorpay.signaturesMatch(expected, headers["x-razorpay-signature"])) {
+    throw createHttpError(400, "Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString("utf8"));
+  const payment = event.payload?.payment?.entity || {};
+
+  return {
+    id: headers["x-razorpay-event-id"],
+    type: event.event,
+    providerOrderId: payment.order_id,
+    paymentId: payment.id,
+    payerId: payment.email || payment.contact,
+    amount: payment.amount !== undefined ? payment.amount / 100 : undefined,
+  };
+}
+
+module.exports = {
+  name: "razorpay",
+  createPayment,
+  capturePayment,
+  refundPayment,
+  verifyWebhook,
+};
@@ -1,9 +1,9 @@
 const paypal = require("paypal-rest-sdk");
 
 paypal.configure({
-  mode: "sandbox",
-  client_id: "",
-  client_secret: "",
+  mode: process.env.PAYPAL_MODE || "sandbox",
+  client_id: process.env.PAYPAL_CLIENT_ID || "",
+  client_secret: process.env.PAYPAL_CLIENT_SECRET || "",
 });
 
 module.exports = paypal;
@@ -0,0 +1,175 @@
+// helpers/production.js - Workshop jobs for confirmed orders and their stages
+const ProductionJob = require("../models/ProductionJob");
+const { createHttpError } = require("./http-error");
+const {
+  ORDER_STATUSES,
+  STATUS_ACTORS,
+  transitionOrderStatus,
+} = require("./order-status");
+
+const PRODUCTION_STAGES = Object.freeze({
+  QUEUED: "queued",
+  FABRIC_CUTTING: "fabric-cutting",
+  STITCHING: "stitching",
+  EMBROIDERY: "embroidery",
+  FINISHING: "finishing",
+  QC: "qc",
+  READY: "ready",
+  CANCELLED: "cancelled",
+});
+
+const { QUEUED, QC, READY, CANCELLED } = PRODUCTION_STAGES;
+
+// Stages a job is still being worked through, in workshop order
+const ACTIVE_STAGES = Object.freeze(
+  Object.values(PRODUCTION_STAGES).filter((stage) => ![READY, CANCELLED].includes(stage))
+);
+
+// Days from confirmation to the default due date
+const DEFAULT_PRODUCTION_DAYS = Number(process.env.PRODUCTION_DAYS) || 7;
+
+function isValidProductionStage(stage) {
+  return Object.values(PRODUCTION_STAGES).includes(stage);
+}
+
+// One job per made-to-order line, due by the order's dispatch date. Lines
+// sold ready to ship go straight out. Upserts, so confirming twice doesn't
+// duplicate work.
+async function createProductionJobs(order, session) {
+  let dueDate = order.deliveryEstimate?.dispatchDate;
+  if (!dueDate) {
+    dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + DEFAULT_PRODUCTION_DAYS);
+  }
+
+  const madeToOrder = order.cartItems.filter((item) => !item.readyToShip);
+  const operations = madeToOrder.map((item) => ({
+    updateOne: {
+      filter: { orderId: order._id.toString(), orderItemId: item._id.toString() },
+      update: {
+        $setOnInsert: {
+          productId: item.productId,
+          title: item.title,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity,
+          stage: QUEUED,
+          dueDate,
+          stageHistory: [{ stage: QUEUED, changedAt: new Date() }],
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  if (operations.length > 0) {
+    await ProductionJob.bulkWrite(operations, { session });
+  }
+}
+
+// Unfinished work stops when its order is cancelled
+async function cancelProductionJobs(orderId, session) {
+  await ProductionJob.updateMany(
+    { orderId: orderId.toString(), stage: { $in: ACTIVE_STAGES } },
+    {
+      $set: { stage: CANCELLED },
+      $push: { stageHistory: { stage: CANCELLED, note: "Order cancelled", changedAt: new Date() } },
+    },
+    { session }
+  );
+}
+
+async function rescheduleProductionJobs(orderId, dueDate) {
+  await ProductionJob.updateMany(
+    { orderId: orderId.toString(), stage: { $in: ACTIVE_STAGES } },
+    { $set: { dueDate } }
+  );
+}
+
+// Keeps the order in step with its jobs: work starting moves it into
+// stitching, and it is ready to ship once every job is ready
+async function syncOrderWithProduction(orderId, changedBy) {
+  const jobs = await ProductionJob.find({ orderId, stage: { $ne: CANCELLED } })
+    .lean()
+    .select("stage");
+
+  if (jobs.length === 0) return null;
+
+  const moveOrder = async (toStatus, fromStatuses, note) => {
+    try {
+      return await transitionOrderStatus(orderId, toStatus, {
+        fromStatuses,
+        changedBy,
+        actor: STATUS_ACTORS.SYSTEM,
+        note,
+      });
+    } catch (error) {
+      // The order has already moved on (or was cancelled) - nothing to do
+      if (error.code === "INVALID_STATUS_TRANSITION") return null;
+      throw error;
+    }
+  };
+
+  if (jobs.every((job) => job.stage === READY)) {
+    return moveOrder(
+      ORDER_STATUSES.READY,
+      [ORDER_STATUSES.CONFIRMED, ORDER_STATUSES.IN_STITCHING],
+      "All items ready"
+    );
+  }
+
+  if (jobs.some((job) => job.stage !== QUEUED)) {
+    return moveOrder(
+      ORDER_STATUSES.IN_STITCHING,
+      [ORDER_STATUSES.CONFIRMED],
+      "Work started in the workshop"
+    );
+  }
+
+  return null;
+}
+
+// Any active stage can follow another (embroidery is optional, pieces go back
+// for rework), but a job is only ready once it has passed QC
+async function moveJobToStage(jobId, stage, { changedBy, note } = {}) {
+  if (!isValidProductionStage(stage) || stage === CANCELLED) {
+    throw createHttpError(400, `Stage must be one of: ${[...ACTIVE_STAGES, READY].join(", ")}`);
+  }
+
+  const fromStages = stage === READY ? [QC] : [...ACTIVE_STAGES, READY];
+
+  const job = await ProductionJob.findOneAndUpdate(
+    { _id: jobId, stage: { $in: fromStages } },
+    {
+      $set: { stage },
+      $push: { stageHistory: { stage, changedBy, note, changedAt: new Date() } },
+    },
+    { new: true }
+  );
+
+  if (!job) {
+    const existing = await ProductionJob.findById(jobId).lean();
+    if (!existing) {
+      throw createHttpError(404, "Production job not found!");
+    }
+    throw createHttpError(
+      409,
+      stage === READY
+        ? "A job must pass QC before it is ready"
+        : `Cannot move a ${existing.stage} job to ${stage}`
+    );
+  }
+
+  const order = await syncOrderWithProduction(job.orderId, changedBy);
+  return { job, order };
+}
+
+module.exports = {
+  PRODUCTION_STAGES,
+  ACTIVE_STAGES,
+  isValidProductionStage,
+  createProductionJobs,
+  cancelProductionJobs,
+  rescheduleProductionJobs,
+  moveJobToStage,
+};
@@ -0,0 +1,98 @@
+// helpers/razorpay.js - Minimal Razorpay REST client (orders, signatures, refunds)
+const crypto = require("crypto");
+
+// RAZORPAY_API_BASE lets tests point at the stub in test/stubs/razorpay-server.js
+const RAZORPAY_API_BASE = process.env.RAZORPAY_API_BASE || "https://api.razorpay.com/v1";
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || "";
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || "";
+const RAZORPAY_CURRENCY = "INR";
+
+const AUTH_HEADER = `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString("base64")}`;
+
+async function razorpayRequest(method, path, body) {
+  const response = await fetch(`${RAZORPAY_API_BASE}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: AUTH_HEADER,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(
+      data.error?.description || `Razorpay request failed with status ${response.status}`
+    );
+    error.status = 502;
+    throw error;
+  }
+
+  return data;
+}
+
+// Razorpay amounts are integers in the smallest unit (paise)
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function createOrder({ amount, receipt, notes }) {
+  return razorpayRequest("POST", "/orders", {
+    amount: toPaise(amount),
+    currency: RAZORPAY_CURRENCY,
+    receipt,
+    notes,
+  });
+}
+
+function fetchPayment(paymentId) {
+  return razorpayRequest("GET", `/payments/${encodeURIComponent(paymentId)}`);
+}
+
+function capturePayment(paymentId, amount) {
+  return razorpayRequest("POST", `/payments/${encodeURIComponent(paymentId)}/capture`, {
+    amount: toPaise(amount),
+    currency: RAZORPAY_CURRENCY,
+  });
+}
+
+// Omitting amount refunds the full payment
+function refundPayment(paymentId, amount) {
+  return razorpayRequest(
+    "POST",
+    `/payments/${encodeURIComponent(paymentId)}/refund`,
+    amount ? { amount: toPaise(amount) } : {}
+  );
+}
+
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received || ""));
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Checkout signature: HMAC-SHA256 of "<order_id>|<payment_id>" with the key
+// secret. Nothing verifies while the secret is unset.
+function verifyPaymentSignature({ orderId, paymentId, signature }) {
+  if (!RAZORPAY_KEY_SECRET) return false;
+
+  const expected = crypto
+    .createHmac("sha256", RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest("hex");
+  return signaturesMatch(expected, signature);
+}
+
+module.exports = {
+  RAZORPAY_KEY_ID,
+  RAZORPAY_CURRENCY,
+  toPaise,
+  createOrder,
+  fetchPayment,
+  capturePayment,
+  refundPayment,
+  verifyPaymentSignature,
+  signaturesMatch,
+};
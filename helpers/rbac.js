@@ -0,0 +1,142 @@
+// helpers/rbac.js - Role based access control and resource ownership checks
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { authMiddleware } = require("../controllers/auth/auth-controller");
+
+const PERMISSIONS = Object.freeze({
+  PRODUCTS_READ: "products:read",
+  PRODUCTS_WRITE: "products:write",
+  ORDERS_READ: "orders:read",
+  ORDERS_WRITE: "orders:write",
+  ORDERS_REFUND: "orders:refund",
+  RETURNS_READ: "returns:read",
+  RETURNS_WRITE: "returns:write",
+  PRODUCTION_READ: "production:read",
+  PRODUCTION_WRITE: "production:write",
+  // Move and annotate only the jobs assigned to you
+  PRODUCTION_WRITE_OWN: "production:write-own",
+  APPOINTMENTS_READ: "appointments:read",
+  APPOINTMENTS_WRITE: "appointments:write",
+  PROMOTIONS_READ: "promotions:read",
+  PROMOTIONS_WRITE: "promotions:write",
+  SESSIONS_READ: "sessions:read",
+  SESSIONS_WRITE: "sessions:write",
+  CUSTOMERS_ACT_AS: "customers:act-as",
+});
+
+// "*" grants every permission
+const ROLE_PERMISSIONS = Object.freeze({
+  admin: ["*"],
+  "catalog-manager": [
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.PROMOTIONS_READ,
+    PERMISSIONS.PROMOTIONS_WRITE,
+  ],
+  "order-manager": [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_WRITE,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.RETURNS_WRITE,
+    PERMISSIONS.PRODUCTION_READ,
+    PERMISSIONS.PRODUCTION_WRITE,
+    PERMISSIONS.APPOINTMENTS_READ,
+    PERMISSIONS.APPOINTMENTS_WRITE,
+    PERMISSIONS.PRODUCTS_READ,
+  ],
+  support: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.RETURNS_READ,
+    PERMISSIONS.PRODUCTION_READ,
+    PERMISSIONS.APPOINTMENTS_READ,
+    PERMISSIONS.APPOINTMENTS_WRITE,
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.PROMOTIONS_READ,
+    // Signing out a compromised account is a support call
+    PERMISSIONS.SESSIONS_READ,
+    PERMISSIONS.SESSIONS_WRITE,
+  ],
+  // Workshop staff: see the job board and fittings, and work on the jobs
+  // assigned to them
+  tailor: [
+    PERMISSIONS.PRODUCTION_READ,
+    PERMISSIONS.PRODUCTION_WRITE_OWN,
+    PERMISSIONS.APPOINTMENTS_READ,
+  ],
+});
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted) return false;
+  return granted.includes("*") || granted.includes(permission);
+}
+
+// Usage: router.get("/get", requirePermission(PERMISSIONS.ORDERS_READ), handler)
+// Returns a middleware chain: authenticate (401) then authorize (403)
+function requirePermission(...permissions) {
+  const checkPermission = (req, res, next) => {
+    const role = req.user?.role;
+    const allowed = permissions.every((permission) => hasPermission(role, permission));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+
+    next();
+  };
+
+  return [authMiddleware, checkPermission];
+}
+
+// Customers may only touch their own data; staff need an explicit grant
+function canAccessUserResource(user, ownerId) {
+  if (!user || !ownerId) return false;
+  if (String(ownerId) === String(user.id)) return true;
+  return hasPermission(user.role, PERMISSIONS.CUSTOMERS_ACT_AS);
+}
+
+// Loads an order the user may act on. Someone else's order resolves to null,
+// like a missing one, so handlers answer 404 without confirming it exists.
+async function findOwnedOrder(orderId, user) {
+  if (!mongoose.isValidObjectId(orderId)) return null;
+
+  const order = await Order.findById(orderId).lean();
+  if (!order || !canAccessUserResource(user, order.userId)) return null;
+  return order;
+}
+
+function enforceOwnership(req, res, next) {
+  const requestedUserIds = [req.params.userId, req.body?.userId].filter(Boolean);
+
+  const allowed = requestedUserIds.every((userId) => canAccessUserResource(req.user, userId));
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have access to this resource",
+    });
+  }
+
+  // Default to the caller's own identity when the client didn't name a user
+  if (req.body && typeof req.body === "object" && !req.body.userId) {
+    req.body.userId = req.user.id;
+  }
+
+  next();
+}
+
+// Usage: router.get("/get/:userId", requireOwnership, handler)
+const requireOwnership = [authMiddleware, enforceOwnership];
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  canAccessUserResource,
+  findOwnedOrder,
+  requireOwnership,
+};
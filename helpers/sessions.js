@@ -0,0 +1,284 @@
+// helpers/sessions.js - Server-side sessions with rotating refresh tokens
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const { createHttpError } = require("./http-error");
+
+// Days a session lasts without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Rotated-out tokens remembered per session for reuse detection
+const MAX_USED_TOKEN_HASHES = 20;
+// How long the token just rotated out still works, for tabs or retries that
+// refresh with it at the same moment
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // 10 seconds
+
+// authMiddleware asks on every request, so remember the answer briefly.
+// Revoking through this module clears it straight away.
+const sessionCache = new Map();
+const SESSION_CACHE_TTL = 60 * 1000; // 1 minute
+// lastUsedAt is written at most this often per session
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// "<sessionId>.<secret>" - the id finds the session, the secret proves it
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+// The current token is kept for the grace window encrypted with a key only
+// the previous token's holder can derive; the database still can't produce a
+// working token on its own.
+function getGraceKey(previousToken) {
+  return crypto.createHmac("sha256", String(previousToken)).update("refresh-grace").digest();
+}
+
+function sealGraceToken(token, previousToken) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getGraceKey(previousToken), iv);
+  const sealed = Buffer.concat([cipher.update(token, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map((part) => part.toString("hex")).join(".");
+}
+
+// The sealed token, or null when previousToken doesn't open it
+function openGraceToken(graceToken, previousToken) {
+  try {
+    const [iv, tag, sealed] = String(graceToken).split(".").map((part) => Buffer.from(part, "hex"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getGraceKey(previousToken), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed), decipher.final()]).toString("utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function invalidRefreshToken() {
+  return createHttpError(401, "Session expired, please log in again", "INVALID_REFRESH_TOKEN");
+}
+
+// Resolves to { session, refreshToken }
+async function createSession(userId, { userAgent, ip } = {}) {
+  const session = new Session({
+    userId: String(userId),
+    userAgent,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: getRefreshExpiry(),
+  });
+
+  const refreshToken = createRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+}
+
+async function revokeSession(sessionId, reason) {
+  sessionCache.delete(String(sessionId));
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+}
+
+// Every active session of the user, except `exceptSessionId` when given
+async function revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+  const filter = { userId: String(userId), revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).lean().select("_id");
+  sessions.forEach((session) => sessionCache.delete(session._id.toString()));
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+}
+
+// The current token for one rotated out within the grace window, as long as
+// nothing has rotated it since; otherwise null
+async function findGraceRotation(sessionId, refreshToken) {
+  const now = Date.now();
+  const session = await Session.findOne({
+    _id: sessionId,
+    previousTokenHash: hashToken(refreshToken),
+    rotatedAt: { $gt: new Date(now - REFRESH_REUSE_GRACE_MS) },
+    revokedAt: null,
+    expiresAt: { $gt: new Date(now) },
+  });
+  if (!session) return null;
+
+  const currentToken = openGraceToken(session.graceToken, refreshToken);
+  if (!currentToken || hashToken(currentToken) !== session.refreshTokenHash) return null;
+
+  return { session, refreshToken: currentToken };
+}
+
+// Swaps a refresh token for a new one. The token just rotated out gets the
+// current one back for a few seconds; presenting a rotated-out token after
+// that means it leaked, so the whole session is revoked.
+// Resolves to { session, refreshToken }.
+async function rotateRefreshToken(refreshToken, { userAgent, ip } = {}) {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw invalidRefreshToken();
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = createRefreshToken(sessionId);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        graceToken: sealGraceToken(nextToken, refreshToken),
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshExpiry(),
+        userAgent,
+        ip,
+      },
+      $push: { usedTokenHashes: { $each: [tokenHash], $slice: -MAX_USED_TOKEN_HASHES } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const graceRotation = await findGraceRotation(sessionId, refreshToken);
+    if (graceRotation) return graceRotation;
+
+    const reused = await Session.exists({ _id: sessionId, usedTokenHashes: tokenHash, revokedAt: null });
+    if (reused) {
+      await revokeSession(sessionId, "refresh-token-reuse");
+      console.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+    }
+    throw invalidRefreshToken();
+  }
+
+  return { session, refreshToken: nextToken };
+}
+
+// "Chrome on Windows" from a user agent, good enough to recognise a device
+function describeDevice(userAgent) {
+  const agent = String(userAgent || "");
+  if (!agent) return "Unknown device";
+
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Chrome/", "Chrome"],
+    ["Firefox/", "Firefox"],
+    ["Safari/", "Safari"],
+  ];
+  const systems = [
+    ["Android", "Android"],
+    ["iPhone", "iPhone"],
+    ["iPad", "iPad"],
+    ["Windows", "Windows"],
+    ["Mac OS X", "macOS"],
+    ["Linux", "Linux"],
+  ];
+
+  const browser = browsers.find(([marker]) => agent.includes(marker))?.[1];
+  const system = systems.find(([marker]) => agent.includes(marker))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || agent.slice(0, 60);
+}
+
+// Active sessions, most recently used first. `currentSessionId` marks the
+// one making the request. lastUsedAt trails real use by a few minutes.
+async function listActiveSessions(userId, currentSessionId) {
+  const sessions = await Session.find({
+    userId: String(userId),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean()
+    .select("userAgent ip createdAt lastUsedAt expiresAt");
+
+  return sessions.map((session) => ({
+    id: session._id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId),
+  }));
+}
+
+// Revokes one of the user's sessions; resolves to null when there's no such
+// active session for them
+async function revokeUserSession(userId, sessionId, reason) {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId: String(userId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+  if (session) sessionCache.delete(session._id.toString());
+  return session;
+}
+
+async function isSessionActive(sessionId) {
+  const key = String(sessionId);
+  const cached = sessionCache.get(key);
+  if (cached && Date.now() < cached.expiry) {
+    return cached.active;
+  }
+
+  const now = new Date();
+  const active = Boolean(
+    await Session.exists({ _id: key, revokedAt: null, expiresAt: { $gt: now } })
+  );
+  sessionCache.set(key, { active, expiry: Date.now() + SESSION_CACHE_TTL });
+
+  // Keeps "last seen" current for the session list. Only stale values are
+  // written, and a failed write doesn't fail the request.
+  if (active) {
+    Session.updateOne(
+      { _id: key, lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_UPDATE_INTERVAL) } },
+      { $set: { lastUsedAt: now } }
+    ).catch((error) => {
+      console.error("Session last-used update error:", error);
+    });
+  }
+
+  return active;
+}
+
+// Clean up expired cache entries every 5 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, value] of sessionCache.entries()) {
+    if (now >= value.expiry) {
+      sessionCache.delete(key);
+    }
+  }
+}, 5 * 60 * 1000);
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserSession,
+  listActiveSessions,
+  isSessionActive,
+};
@@ -0,0 +1,196 @@
+// helpers/shipping.js - Shipping zones by pincode and charges by weight and order value
+const ShippingZone = require("../models/ShippingZone");
+const { createHttpError } = require("./http-error");
+const { SHIPPING_TRANSIT_DAYS, getDeliveryDate } = require("./delivery-estimate");
+const { roundCurrency } = require("./currency");
+const { createTtlCache } = require("./ttl-cache");
+
+const SHIPPING_METHODS = Object.freeze({
+  STANDARD: "standard",
+  EXPRESS: "express",
+});
+
+// Used for products without a weight, in grams
+const DEFAULT_ITEM_WEIGHT_GRAMS = Number(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 500;
+
+// Until a zone is set up, e.g. right after deploying, every pincode ships at
+// this flat rate so checkout keeps working. It is free unless configured,
+// as shipping was before zones. Once any zone is active, pincodes outside
+// every zone are refused.
+const DEFAULT_SHIPPING_ZONE = Object.freeze({
+  _id: null,
+  name: "Default",
+  rates: [{ charge: Number(process.env.DEFAULT_SHIPPING_CHARGE) || 0 }],
+  freeShippingThreshold: Number(process.env.DEFAULT_FREE_SHIPPING_THRESHOLD) || undefined,
+  express: { available: false },
+});
+
+const ZONE_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const zoneCache = createTtlCache(() => ShippingZone.find({ active: true }).lean(), ZONE_CACHE_TTL);
+
+function normalizePincode(pincode) {
+  return String(pincode || "").replace(/\s/g, "");
+}
+
+function getActiveZones() {
+  return zoneCache.get();
+}
+
+function clearShippingZoneCache() {
+  zoneCache.clear();
+}
+
+// How closely a zone matches: a range counts as a full pincode, a prefix by
+// its length, 0 for no match
+function getMatchLength(zone, pincode) {
+  const inRange = (zone.pincodeRanges || []).some(
+    (range) => pincode.length === range.from.length && pincode >= range.from && pincode <= range.to
+  );
+  if (inRange) return pincode.length;
+
+  return (zone.pincodePrefixes || []).reduce(
+    (longest, prefix) => (pincode.startsWith(prefix) && prefix.length > longest ? prefix.length : longest),
+    0
+  );
+}
+
+// Highest priority first, then the most specific match. The default zone
+// when none are set up.
+async function findShippingZone(pincode) {
+  const normalizedPincode = normalizePincode(pincode);
+  if (!/^\d{6}$/.test(normalizedPincode)) return null;
+
+  const zones = await getActiveZones();
+  if (zones.length === 0) return DEFAULT_SHIPPING_ZONE;
+
+  let best = null;
+
+  for (const zone of zones) {
+    const matchLength = getMatchLength(zone, normalizedPincode);
+    if (matchLength === 0) continue;
+
+    const priority = zone.priority || 0;
+    if (
+      !best ||
+      priority > best.priority ||
+      (priority === best.priority && matchLength > best.matchLength)
+    ) {
+      best = { zone, priority, matchLength };
+    }
+  }
+
+  return best ? best.zone : null;
+}
+
+function getItemsWeight(items) {
+  return items.reduce(
+    (total, item) => total + (item.weightGrams || DEFAULT_ITEM_WEIGHT_GRAMS) * item.quantity,
+    0
+  );
+}
+
+// Rows are tried lightest and cheapest first; a parcel heavier than every
+// weight row pays the heaviest row plus the per-kg extra
+function getRateCharge(zone, weightGrams, orderValue) {
+  const rates = [...(zone.rates || [])].sort(
+    (a, b) =>
+      (a.maxWeightGrams ?? Infinity) - (b.maxWeightGrams ?? Infinity) ||
+      (a.maxOrderValue ?? Infinity) - (b.maxOrderValue ?? Infinity)
+  );
+
+  const fitsValue = (rate) => rate.maxOrderValue == null || orderValue <= rate.maxOrderValue;
+  const match = rates.find(
+    (rate) => fitsValue(rate) && (rate.maxWeightGrams == null || weightGrams <= rate.maxWeightGrams)
+  );
+  if (match) return match.charge;
+
+  const heaviest = rates.filter(fitsValue).pop();
+  if (!heaviest || !zone.extraChargePerKg) return null;
+
+  const extraKg = Math.ceil((weightGrams - heaviest.maxWeightGrams) / 1000);
+  return heaviest.charge + extraKg * zone.extraChargePerKg;
+}
+
+// Quotes every method the zone offers for priced cart lines going to a
+// pincode. `orderValue` is the cart total after discounts. Throws a 400 when
+// we don't ship there.
+async function quoteShipping(items, orderValue, pincode, { dispatchDate } = {}) {
+  const zone = await findShippingZone(pincode);
+
+  if (!zone) {
+    throw createHttpError(400, "We don't deliver to this pincode yet", "SHIPPING_UNAVAILABLE");
+  }
+
+  const weightGrams = getItemsWeight(items);
+  const rateCharge = getRateCharge(zone, weightGrams, orderValue);
+
+  if (rateCharge === null) {
+    throw createHttpError(
+      400,
+      "This order is too large to ship to this pincode. Please contact us.",
+      "SHIPPING_UNAVAILABLE"
+    );
+  }
+
+  const freeShipping = Boolean(zone.freeShippingThreshold) && orderValue >= zone.freeShippingThreshold;
+  const standardCharge = freeShipping ? 0 : roundCurrency(rateCharge);
+  const standardTransitDays = zone.transitDays ?? SHIPPING_TRANSIT_DAYS;
+
+  const options = [
+    {
+      method: SHIPPING_METHODS.STANDARD,
+      charge: standardCharge,
+      freeShipping,
+      transitDays: standardTransitDays,
+    },
+  ];
+
+  if (zone.express?.available) {
+    options.push({
+      method: SHIPPING_METHODS.EXPRESS,
+      charge: roundCurrency(standardCharge + (zone.express.surcharge || 0)),
+      freeShipping: false,
+      transitDays: zone.express.transitDays ?? standardTransitDays,
+    });
+  }
+
+  options.forEach((option) => {
+    option.deliveryDate = dispatchDate ? getDeliveryDate(dispatchDate, option.transitDays) : null;
+  });
+
+  return {
+    zoneId: zone._id ? zone._id.toString() : null,
+    zoneName: zone.name,
+    weightGrams,
+    options,
+  };
+}
+
+// The shipping line stored on an order for the chosen method
+async function getShippingLine(items, orderValue, pincode, method = SHIPPING_METHODS.STANDARD, options) {
+  const quote = await quoteShipping(items, orderValue, pincode, options);
+  const option = quote.options.find((entry) => entry.method === method);
+
+  if (!option) {
+    throw createHttpError(400, `${method} shipping is not available for this pincode`, "SHIPPING_UNAVAILABLE");
+  }
+
+  return {
+    zoneId: quote.zoneId,
+    zoneName: quote.zoneName,
+    method: option.method,
+    weightGrams: quote.weightGrams,
+    charge: option.charge,
+    freeShipping: option.freeShipping,
+    transitDays: option.transitDays,
+    deliveryDate: option.deliveryDate,
+  };
+}
+
+module.exports = {
+  SHIPPING_METHODS,
+  normalizePincode,
+  clearShippingZoneCache,
+  quoteShipping,
+  getShippingLine,
+};
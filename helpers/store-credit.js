@@ -0,0 +1,55 @@
+// helpers/store-credit.js - Customer store credit: balance, spending and restoring
+const User = require("../models/User");
+const { createHttpError } = require("./http-error");
+const { roundCurrency } = require("./currency");
+
+// What's left for the payment provider once store credit is taken off. The
+// order total, and its invoice, still include the part paid with credit.
+function getAmountDue(order) {
+  return roundCurrency(order.totalAmount - (order.storeCreditUsed || 0));
+}
+
+async function getStoreCreditBalance(userId) {
+  const user = await User.findById(userId).lean().select("storeCredit");
+  return roundCurrency(user?.storeCredit || 0);
+}
+
+async function addStoreCredit(userId, amount, session) {
+  if (!(amount > 0)) return;
+  await User.updateOne(
+    { _id: userId },
+    { $inc: { storeCredit: roundCurrency(amount) } },
+    { session }
+  );
+}
+
+// Takes the credit an order uses when it is confirmed, inside the
+// confirmation transaction. Credit spent on another order since checkout
+// fails the confirmation like missing stock would.
+async function spendStoreCredit(order, session) {
+  const amount = order.storeCreditUsed || 0;
+  if (amount <= 0) return;
+
+  const result = await User.updateOne(
+    { _id: order.userId, storeCredit: { $gte: amount } },
+    { $inc: { storeCredit: -amount } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw createHttpError(409, "Not enough store credit left for this order", "STORE_CREDIT_INSUFFICIENT");
+  }
+}
+
+// A cancelled order gives its credit back
+function restoreStoreCredit(order, session) {
+  return addStoreCredit(order.userId, order.storeCreditUsed || 0, session);
+}
+
+module.exports = {
+  getAmountDue,
+  getStoreCreditBalance,
+  addStoreCredit,
+  spendStoreCredit,
+  restoreStoreCredit,
+};
@@ -0,0 +1,96 @@
+// helpers/tax.js - GST rates per product from tax classes and price slabs
+const TaxClass = require("../models/TaxClass");
+const { roundCurrency } = require("./currency");
+const { createTtlCache } = require("./ttl-cache");
+
+// Catalogue prices include GST. Products no tax class covers use this rate,
+// in percent.
+const DEFAULT_GST_RATE = Number(process.env.GST_RATE) || 5;
+
+const TAX_CLASS_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const taxClassCache = createTtlCache(() => TaxClass.find({}).lean(), TAX_CLASS_CACHE_TTL);
+
+function getTaxClasses() {
+  return taxClassCache.get();
+}
+
+function clearTaxClassCache() {
+  taxClassCache.clear();
+}
+
+// The product's own class, else its category's, else the default one
+function resolveTaxClass(product, taxClasses) {
+  if (product.taxClassId) {
+    const own = taxClasses.find((taxClass) => taxClass._id.toString() === String(product.taxClassId));
+    if (own) return own;
+  }
+
+  return (
+    taxClasses.find((taxClass) => (taxClass.categories || []).includes(product.category)) ||
+    taxClasses.find((taxClass) => taxClass.isDefault) ||
+    null
+  );
+}
+
+// Slabs are on the value before tax, but prices include it, so try each slab
+// from the lowest and take the first whose rate leaves the piece inside it
+function getSlabRate(taxClass, unitPrice) {
+  const slabs = [...(taxClass?.slabs || [])].sort(
+    (a, b) => (a.maxUnitValue ?? Infinity) - (b.maxUnitValue ?? Infinity)
+  );
+  if (slabs.length === 0) return DEFAULT_GST_RATE;
+
+  const slab = slabs.find(
+    (entry) => entry.maxUnitValue == null || unitPrice / (1 + entry.rate / 100) <= entry.maxUnitValue
+  );
+  return (slab || slabs[slabs.length - 1]).rate;
+}
+
+// Splits a tax-inclusive amount into its taxable value and tax
+function splitInclusiveAmount(amount, gstRate) {
+  const taxableValue = roundCurrency(amount / (1 + gstRate / 100));
+  return { gstRate, taxableValue, tax: roundCurrency(amount - taxableValue) };
+}
+
+// Per-line tax for priced cart lines ({ product, quantity, itemTotal,
+// discount }). The slab is chosen on what one piece actually sells for,
+// after its share of any coupon. Returns one { hsnCode, gstRate,
+// taxableValue, tax } per line, in order.
+async function calculateLineTaxes(lines) {
+  const taxClasses = await getTaxClasses();
+
+  return lines.map(({ product, quantity, itemTotal, discount }) => {
+    const taxClass = resolveTaxClass(product, taxClasses);
+    const amount = roundCurrency(itemTotal - (discount || 0));
+    const gstRate = getSlabRate(taxClass, amount / quantity);
+
+    return {
+      hsnCode: product.hsnCode || taxClass?.hsnCode || undefined,
+      ...splitInclusiveAmount(amount, gstRate),
+    };
+  });
+}
+
+// Shipping is taxed like the goods it carries, at the highest rate among them
+function calculateShippingTax(charge, lineTaxes) {
+  const gstRate = lineTaxes.length > 0
+    ? Math.max(...lineTaxes.map((lineTax) => lineTax.gstRate))
+    : DEFAULT_GST_RATE;
+  return splitInclusiveAmount(charge, gstRate);
+}
+
+function sumTaxes(taxes) {
+  return {
+    taxableValue: roundCurrency(taxes.reduce((total, entry) => total + entry.taxableValue, 0)),
+    tax: roundCurrency(taxes.reduce((total, entry) => total + entry.tax, 0)),
+  };
+}
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  clearTaxClassCache,
+  splitInclusiveAmount,
+  calculateLineTaxes,
+  calculateShippingTax,
+  sumTaxes,
+};
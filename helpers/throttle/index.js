@@ -0,0 +1,33 @@
+// helpers/throttle/index.js - Store for attempt counters
+//
+// Every store exposes the same async operations, so a shared store (e.g.
+// Redis) can replace the in-memory one when we run more than one instance:
+//   get(key)               -> entry object or null
+//   set(key, entry, ttlMs) -> stores the entry, dropped after ttlMs
+//   increment(key, ttlMs, amount = 1)
+//                          -> { count, expiresAt }. Adds to a counter in one
+//                             atomic step (e.g. Redis INCRBY). A new counter
+//                             starts at 0 and is dropped ttlMs later; later
+//                             increments keep that expiry.
+//   delete(key)
+const memoryStore = require("./memory-store");
+
+const STORES = {
+  [memoryStore.name]: memoryStore,
+};
+
+// THROTTLE_STORE="memory" - the only store so far
+const THROTTLE_STORE = (process.env.THROTTLE_STORE || memoryStore.name).trim().toLowerCase();
+
+function getThrottleStore() {
+  const store = STORES[THROTTLE_STORE];
+  if (!store) {
+    console.warn(`Unknown THROTTLE_STORE: ${THROTTLE_STORE}, using memory`);
+    return memoryStore;
+  }
+  return store;
+}
+
+module.exports = {
+  getThrottleStore,
+};
@@ -0,0 +1,48 @@
+// helpers/throttle/memory-store.js - Attempt counters in process memory.
+// Each instance counts on its own and counts are lost on restart.
+const entries = new Map();
+
+async function get(key) {
+  const item = entries.get(key);
+  if (item && Date.now() < item.expiry) return item.data;
+  entries.delete(key);
+  return null;
+}
+
+async function set(key, entry, ttlMs) {
+  entries.set(key, { data: entry, expiry: Date.now() + ttlMs });
+}
+
+// Reads and writes without awaiting in between, so concurrent requests in
+// this process can't lose an increment
+async function increment(key, ttlMs, amount = 1) {
+  const now = Date.now();
+  const item = entries.get(key);
+  const current = item && now < item.expiry ? item : { data: 0, expiry: now + ttlMs };
+  const count = current.data + amount;
+
+  entries.set(key, { data: count, expiry: current.expiry });
+  return { count, expiresAt: current.expiry };
+}
+
+async function remove(key) {
+  entries.delete(key);
+}
+
+// Clean up expired entries every 5 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, value] of entries.entries()) {
+    if (now >= value.expiry) {
+      entries.delete(key);
+    }
+  }
+}, 5 * 60 * 1000);
+
+module.exports = {
+  name: "memory",
+  get,
+  set,
+  increment,
+  delete: remove,
+};
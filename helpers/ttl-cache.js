@@ -0,0 +1,25 @@
+// helpers/ttl-cache.js - Keeps the result of a lookup in memory for a while
+//
+// For settings admins change rarely (zones, tax classes, holidays). Call
+// clear() after an admin edits them so the change applies straight away.
+function createTtlCache(load, ttlMs) {
+  let cached = null;
+
+  return {
+    async get() {
+      if (cached && Date.now() < cached.expiry) {
+        return cached.data;
+      }
+
+      const data = await load();
+      cached = { data, expiry: Date.now() + ttlMs };
+      return data;
+    },
+
+    clear() {
+      cached = null;
+    },
+  };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,123 @@
+// helpers/variants.js - Size/colour variants with their own SKU, price and stock
+const { createHttpError } = require("./http-error");
+
+const MAX_VARIANTS_PER_PRODUCT = 50;
+const LOW_STOCK_THRESHOLD = 10;
+
+function getStockStatus(stock) {
+  if (!stock || stock <= 0) return "out_of_stock";
+  return stock < LOW_STOCK_THRESHOLD ? "low_stock" : "in_stock";
+}
+
+// Variants arrive as a JSON string when the product form is multipart
+function parseVariants(variants) {
+  if (typeof variants !== "string") return variants;
+  try {
+    return JSON.parse(variants);
+  } catch (error) {
+    throw createHttpError(400, "Variants must be valid JSON");
+  }
+}
+
+// Validates the admin's variant list. Existing _ids are kept so cart lines
+// and orders that point at a variant stay resolvable.
+function sanitizeVariants(input) {
+  const variants = parseVariants(input);
+
+  if (!Array.isArray(variants)) {
+    throw createHttpError(400, "Variants must be a list");
+  }
+
+  if (variants.length > MAX_VARIANTS_PER_PRODUCT) {
+    throw createHttpError(400, `A product can have up to ${MAX_VARIANTS_PER_PRODUCT} variants`);
+  }
+
+  const seenSkus = new Set();
+
+  return variants.map((variant) => {
+    const sku = String(variant?.sku || "").trim().toUpperCase();
+    const size = String(variant?.size || "").trim();
+    const color = String(variant?.color || "").trim();
+    const stock = parseInt(variant?.stock);
+    const hasPrice = variant?.price !== undefined && variant.price !== null && variant.price !== "";
+    const price = hasPrice ? parseFloat(variant.price) : undefined;
+
+    if (!sku) {
+      throw createHttpError(400, "Every variant needs a SKU");
+    }
+    if (seenSkus.has(sku)) {
+      throw createHttpError(400, `Duplicate SKU ${sku}`);
+    }
+    seenSkus.add(sku);
+
+    if (!size && !color) {
+      throw createHttpError(400, `Variant ${sku} needs a size or a colour`);
+    }
+    if (isNaN(stock) || stock < 0) {
+      throw createHttpError(400, `Invalid stock for ${sku}`);
+    }
+    if (hasPrice && (isNaN(price) || price < 0)) {
+      throw createHttpError(400, `Invalid price for ${sku}`);
+    }
+
+    return {
+      ...(variant._id ? { _id: variant._id } : {}),
+      sku,
+      size: size || undefined,
+      color: color || undefined,
+      price,
+      stock,
+    };
+  });
+}
+
+// With variants, the product's totalStock is kept as their sum so listing
+// filters and sorts on totalStock still see overall availability
+function getVariantsTotalStock(variants = []) {
+  return variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+}
+
+function hasVariants(product) {
+  return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+function findVariant(product, variantId) {
+  if (!variantId || !hasVariants(product)) return null;
+  return product.variants.find((variant) => variant._id.toString() === String(variantId)) || null;
+}
+
+function getVariantLabel(variant) {
+  return [variant.size, variant.color].filter(Boolean).join(" / ");
+}
+
+// Selling price before customization deltas. A variant's price replaces the
+// product's price and sale price.
+function getBasePrice(product, variant) {
+  if (variant && variant.price > 0) return variant.price;
+  return product.salePrice > 0 ? product.salePrice : product.price;
+}
+
+// What a cart or order line needs to know about its variant
+function buildVariantSummary(variant) {
+  if (!variant) return null;
+
+  return {
+    _id: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+    label: getVariantLabel(variant),
+  };
+}
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  getStockStatus,
+  sanitizeVariants,
+  getVariantsTotalStock,
+  hasVariants,
+  findVariant,
+  getVariantLabel,
+  getBasePrice,
+  buildVariantSummary,
+};
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Single-use links sent by email. Only a hash of the token is stored, see
+// helpers/account-tokens.js
+const AccountTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    purpose: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+AccountTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB removes tokens once they expire
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AccountToken", AccountTokenSchema);
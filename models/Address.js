@@ -5,6 +5,7 @@ const AddressSchema = new mongoose.Schema(
     userId: String,
     address: String,
     city: String,
+    state: String, // Place of supply for GST
     pincode: String,
     phone: String,
     notes: String,
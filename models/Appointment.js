@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const AppointmentSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    slotId: { type: String, required: true },
+    // Copied from the slot so lists don't need a lookup
+    startsAt: Date,
+    endsAt: Date,
+    mode: String,
+    purpose: {
+      type: String,
+      enum: ["fitting", "consultation"],
+      default: "fitting",
+    },
+    status: {
+      type: String,
+      enum: ["booked", "cancelled", "completed", "no-show"],
+      default: "booked",
+    },
+    // Optional links, e.g. a fitting for a bridal order
+    orderId: String,
+    measurementId: String,
+    notes: String,
+    history: [
+      {
+        status: String,
+        slotId: String,
+        startsAt: Date,
+        changedBy: String,
+        note: String,
+        changedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+AppointmentSchema.index({ userId: 1, startsAt: -1 });
+AppointmentSchema.index({ slotId: 1, status: 1 });
+// One live booking per customer per slot
+AppointmentSchema.index(
+  { userId: 1, slotId: 1 },
+  { unique: true, partialFilterExpression: { status: "booked" } }
+);
+
+module.exports = mongoose.model("Appointment", AppointmentSchema);
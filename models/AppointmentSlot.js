@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// A bookable window set up by staff. `booked` only moves through the
+// conditional updates in helpers/appointments.js
+const AppointmentSlotSchema = new mongoose.Schema(
+  {
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    mode: {
+      type: String,
+      enum: ["in-store", "video"],
+      required: true,
+    },
+    capacity: { type: Number, required: true, min: 1 },
+    booked: { type: Number, default: 0, min: 0 },
+    // Closed slots keep their bookings but take no new ones
+    closed: { type: Boolean, default: false },
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+AppointmentSlotSchema.index({ startsAt: 1, mode: 1 });
+
+module.exports = mongoose.model("AppointmentSlot", AppointmentSlotSchema);
@@ -14,13 +14,33 @@ const CartSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // Size/colour; required when the product has variants
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         quantity: {
           type: Number,
           required: true,
           min: 1,
         },
+        // Profile to stitch this line to. The same product can be in the
+        // cart once per profile and set of options
+        measurementId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Measurement",
+        },
+        // Chosen customizations in the product's group order
+        options: [
+          {
+            _id: false,
+            groupId: String,
+            choiceId: String,
+          },
+        ],
       },
     ],
+    // Re-checked every time the cart is priced, see helpers/coupons.js
+    couponCode: String,
   },
   {
     timestamps: true,
@@ -0,0 +1,9 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. "invoice-2026-27" for gap-free invoice numbers
+const CounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Rules are applied by helpers/coupons.js
+const CouponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: String,
+    type: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    value: { type: Number, required: true, min: 0 },
+    maxDiscount: Number, // cap for percentage coupons, in rupees
+    minCartValue: { type: Number, default: 0 },
+    // Empty means the whole cart; otherwise only matching lines are discounted
+    categories: [String],
+    productIds: [String],
+    usageLimit: Number, // across all customers; empty means unlimited
+    perUserLimit: { type: Number, default: 1 },
+    // Counted when an order using the coupon is paid, not when it's applied
+    usedCount: { type: Number, default: 0 },
+    validFrom: Date,
+    validUntil: Date,
+    firstOrderOnly: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Coupon", CouponSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// One row per paid order that used a coupon; backs the per-user limit
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: String, required: true },
+    code: String,
+    userId: { type: String, required: true },
+    orderId: { type: String, required: true, unique: true },
+    discount: Number,
+  },
+  { timestamps: true }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1 });
+
+module.exports = mongoose.model("CouponRedemption", CouponRedemptionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Days the workshop is closed, besides the weekly off days
+const HolidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, unique: true }, // "YYYY-MM-DD", a day in India
+    name: String,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Holiday", HolidaySchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Failed and refused logins, for spotting credential stuffing
+const LoginAuditSchema = new mongoose.Schema(
+  {
+    email: String,
+    userId: String, // set when the email belongs to an account
+    ip: String,
+    userAgent: String,
+    reason: {
+      type: String,
+      enum: ["unknown-email", "wrong-password", "throttled", "locked"],
+    },
+  },
+  { timestamps: true }
+);
+
+LoginAuditSchema.index({ email: 1, createdAt: -1 });
+LoginAuditSchema.index({ ip: 1, createdAt: -1 });
+// Kept for 90 days
+LoginAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("LoginAudit", LoginAuditSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { MEASUREMENT_FIELDS, MEASUREMENT_UNITS } = require("../helpers/measurements");
+
+const measurementValues = Object.fromEntries(
+  MEASUREMENT_FIELDS.map((field) => [field, { type: Number, min: 0 }])
+);
+
+const MeasurementSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    // Who the profile is for, e.g. "Me" or "Mom"
+    name: { type: String, required: true, trim: true },
+    unit: {
+      type: String,
+      enum: MEASUREMENT_UNITS,
+      default: "in",
+    },
+    values: measurementValues,
+    notes: String,
+    // Bumped on every edit; order lines record the revision they were made to
+    revision: { type: Number, default: 1 },
+    // Previous versions, oldest first
+    revisions: [
+      {
+        revision: Number,
+        unit: String,
+        values: measurementValues,
+        notes: String,
+        changedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+MeasurementSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Measurement", MeasurementSchema);
@@ -6,28 +6,141 @@ const OrderSchema = new mongoose.Schema({
   cartItems: [
     {
       productId: String,
+      // Set when the product is sold in variants; stock moves on the variant
+      variantId: String,
+      sku: String,
+      size: String,
+      color: String,
       title: String,
       image: String,
-      price: String,
+      price: String, // unit price including option price deltas
       quantity: Number,
+      readyToShip: Boolean, // sold off the shelf, so no workshop job
+      discount: Number, // this line's share of the coupon discount
+      // GST included in the line, after its discount. See helpers/tax.js
+      hsnCode: String,
+      gstRate: Number,
+      taxableValue: Number,
+      tax: Number,
+      options: [
+        {
+          _id: false,
+          groupId: String,
+          groupName: String,
+          choiceId: String,
+          choiceName: String,
+          priceDelta: Number,
+        },
+      ],
+      // Copy of the profile as confirmed at checkout, see helpers/measurements.js
+      measurement: {
+        measurementId: String,
+        name: String,
+        unit: String,
+        revision: Number,
+        values: Object,
+        notes: String,
+      },
     },
   ],
   addressInfo: {
     addressId: String,
     address: String,
     city: String,
+    state: String,
     pincode: String,
     phone: String,
     notes: String,
   },
   orderStatus: String,
+  // Append-only: written with $push by helpers/order-status.js
+  statusHistory: [
+    {
+      status: String,
+      changedBy: String,
+      actor: String,
+      note: String,
+      changedAt: Date,
+    },
+  ],
   paymentMethod: String,
   paymentStatus: String,
+  subtotal: Number, // before the coupon discount
+  coupon: {
+    couponId: String,
+    code: String,
+    discount: Number,
+  },
+  // Charged on top of the items; totalAmount = subtotal - coupon + shipping
+  shipping: {
+    zoneId: String,
+    zoneName: String,
+    method: { type: String, enum: ["standard", "express"] },
+    weightGrams: Number,
+    charge: Number,
+    freeShipping: Boolean,
+    gstRate: Number,
+    taxableValue: Number,
+    tax: Number,
+  },
+  // GST included in totalAmount, items and shipping together
+  tax: {
+    taxableValue: Number,
+    tax: Number,
+  },
   totalAmount: Number,
+  // Part of totalAmount paid with store credit; the provider is charged the rest
+  storeCreditUsed: { type: Number, default: 0 },
   orderDate: Date,
   orderUpdateDate: Date,
+  // Estimated when the order is placed; staff may override it
+  deliveryEstimate: {
+    dispatchDate: Date,
+    deliveryDate: Date,
+    overridden: { type: Boolean, default: false },
+    overriddenBy: String,
+    note: String,
+  },
   paymentId: String,
   payerId: String,
+  providerOrderId: String,
+  stockReserved: { type: Boolean, default: false },
+  failureReason: String,
+  invoice: {
+    number: String,
+    financialYear: String,
+    issuedAt: Date,
+    placeOfSupply: String,
+    interState: Boolean,
+    lines: [
+      {
+        title: String,
+        hsnCode: String,
+        quantity: Number,
+        unitPrice: Number,
+        discount: Number,
+        taxableValue: Number,
+        gstRate: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        total: Number,
+      },
+    ],
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number,
+  },
+  refunds: [
+    {
+      refundId: String,
+      amount: Number,
+      reason: String,
+      createdAt: Date,
+    },
+  ],
 });
 
 module.exports = mongoose.model("Order", OrderSchema);
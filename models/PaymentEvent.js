@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// One document per provider webhook event we have processed, so redelivered
+// events are recognised and skipped
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: String,
+    orderId: String,
+  },
+  { timestamps: true }
+);
+
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("PaymentEvent", PaymentEventSchema);
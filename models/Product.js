@@ -12,10 +12,50 @@ const ProductSchema = new mongoose.Schema(
     category: String,
     price: Number,
     salePrice: Number,
-    totalStock: Number,
+    totalStock: Number, // sum of variant stock when the product has variants
     averageReview: Number,
+    hsnCode: String, // GST classification printed on invoices
+    // GST slabs; falls back to the category's class. See helpers/tax.js
+    taxClassId: String,
+    // Ready-to-ship pieces skip the workshop; others need leadTimeDays
+    // workshop days. See helpers/delivery-estimate.js
+    readyToShip: { type: Boolean, default: false },
+    leadTimeDays: { type: Number, min: 0 },
+    weightGrams: { type: Number, min: 0 }, // packed weight, for shipping rates
+    // Sizes/colours sold separately. See helpers/variants.js
+    variants: [
+      {
+        sku: String,
+        size: String,
+        color: String,
+        price: Number, // replaces price and salePrice when set
+        stock: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    // e.g. neckline, sleeve length, lining. See helpers/customizations.js
+    customizationGroups: [
+      {
+        name: String,
+        required: { type: Boolean, default: false },
+        // Allow several choices, e.g. embroidery add-ons
+        multiple: { type: Boolean, default: false },
+        choices: [
+          {
+            name: String,
+            priceDelta: { type: Number, default: 0 }, // added to the unit price
+            available: { type: Boolean, default: true },
+          },
+        ],
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// SKUs are unique across the catalogue
+ProductSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
 module.exports = mongoose.model("Product", ProductSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Workshop work for one order line. Stages are listed in helpers/production.js
+const ProductionJobSchema = new mongoose.Schema(
+  {
+    orderId: { type: String, required: true },
+    orderItemId: { type: String, required: true }, // _id of the entry in Order.cartItems
+    productId: String,
+    title: String,
+    size: String,
+    color: String,
+    quantity: Number,
+    stage: { type: String, default: "queued" },
+    tailor: {
+      userId: String,
+      name: String,
+    },
+    dueDate: Date,
+    notes: [
+      {
+        note: String,
+        addedBy: String,
+        addedAt: Date,
+      },
+    ],
+    stageHistory: [
+      {
+        stage: String,
+        changedBy: String,
+        note: String,
+        changedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+ProductionJobSchema.index({ orderId: 1, orderItemId: 1 }, { unique: true });
+ProductionJobSchema.index({ stage: 1, dueDate: 1 });
+ProductionJobSchema.index({ "tailor.userId": 1, stage: 1 });
+
+module.exports = mongoose.model("ProductionJob", ProductionJobSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    orderId: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["return", "exchange"],
+      required: true,
+    },
+    items: [
+      {
+        orderItemId: String, // _id of the entry in Order.cartItems
+        productId: String,
+        variantId: String,
+        title: String,
+        price: Number,
+        quantity: Number,
+        // Exchanges only - defaults to the same product and variant
+        replacementProductId: String,
+        replacementVariantId: String,
+      },
+    ],
+    reason: String,
+    photos: [String],
+    // How an approved return is paid back. Exchanges have none.
+    resolution: {
+      type: String,
+      enum: ["refund", "store-credit"],
+      default: function () {
+        return this.type === "return" ? "refund" : undefined;
+      },
+    },
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "pickup-scheduled", "completed"],
+      default: "requested",
+    },
+    refundAmount: Number,
+    refundId: String,
+    // Part of refundAmount given as store credit
+    storeCreditAmount: Number,
+    replacementReserved: { type: Boolean, default: false },
+    pickup: {
+      scheduledFor: Date,
+      notes: String,
+    },
+    history: [
+      {
+        status: String,
+        changedBy: String,
+        note: String,
+        changedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ orderId: 1 });
+ReturnRequestSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ReturnRequest", ReturnRequestSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// One login on one device: a family of rotating refresh tokens. Access tokens
+// carry the session id and stop working once it is revoked. See
+// helpers/sessions.js
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    refreshTokenHash: { type: String, required: true },
+    // Tokens already rotated out; presenting one again means it was copied
+    usedTokenHashes: [String],
+    // The token rotated out last, and the current one sealed with it, so a
+    // second tab refreshing at the same moment gets the current token
+    previousTokenHash: String,
+    graceToken: String,
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions once their refresh tokens can't be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
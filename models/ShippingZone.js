@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Where we ship and what it costs. See helpers/shipping.js
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    // A pincode belongs to the zone when it starts with a prefix ("400") or
+    // falls in a range ("110001"-"110096")
+    pincodePrefixes: [String],
+    pincodeRanges: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+      },
+    ],
+    // Breaks ties when zones overlap; the higher one wins
+    priority: { type: Number, default: 0 },
+    // The first row the parcel fits under sets the charge. An empty limit
+    // means any weight or value.
+    rates: [
+      {
+        _id: false,
+        maxWeightGrams: Number,
+        maxOrderValue: Number,
+        charge: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Added per started kg above the heaviest weight row
+    extraChargePerKg: { type: Number, default: 0 },
+    // Standard shipping is free from this order value, after discounts
+    freeShippingThreshold: Number,
+    transitDays: Number, // calendar days; the store default when empty
+    express: {
+      available: { type: Boolean, default: false },
+      surcharge: { type: Number, default: 0 }, // on top of standard, even when that is free
+      transitDays: Number,
+    },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ShippingZone", ShippingZoneSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// GST rates for a kind of product. See helpers/tax.js
+const TaxClassSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    hsnCode: String, // used when the product has none of its own
+    // Products in these categories use this class unless they name another
+    categories: [String],
+    // Rate by the value of one piece before tax, e.g. 5% up to ₹1000 and 12%
+    // above. An empty limit covers everything above the other slabs.
+    slabs: [
+      {
+        _id: false,
+        maxUnitValue: Number,
+        rate: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+    // Applies to products no other class covers
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TaxClass", TaxClassSchema);
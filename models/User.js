@@ -19,6 +19,17 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: "user",
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
+  // Issued by approved returns and spent at checkout, in rupees
+  storeCredit: {
+    type: Number,
+    default: 0,
+  },
 });
 
 const User = mongoose.model("User", UserSchema);
@@ -0,0 +1,23 @@
+const express = require("express");
+
+const {
+  createAppointmentSlots,
+  updateAppointmentSlot,
+  deleteAppointmentSlot,
+  getDaySchedule,
+  updateAppointmentStatus,
+} = require("../../controllers/admin/appointment-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadAppointments = requirePermission(PERMISSIONS.APPOINTMENTS_READ);
+const canWriteAppointments = requirePermission(PERMISSIONS.APPOINTMENTS_WRITE);
+
+router.get("/schedule", canReadAppointments, getDaySchedule);
+router.post("/slots", canWriteAppointments, createAppointmentSlots);
+router.put("/slots/:id", canWriteAppointments, updateAppointmentSlot);
+router.delete("/slots/:id", canWriteAppointments, deleteAppointmentSlot);
+router.put("/status/:id", canWriteAppointments, updateAppointmentStatus);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+
+const {
+  getHolidays,
+  addHoliday,
+  deleteHoliday,
+} = require("../../controllers/admin/calendar-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadCalendar = requirePermission(PERMISSIONS.PRODUCTION_READ);
+const canWriteCalendar = requirePermission(PERMISSIONS.PRODUCTION_WRITE);
+
+router.get("/holidays", canReadCalendar, getHolidays);
+router.post("/holidays", canWriteCalendar, addHoliday);
+router.delete("/holidays/:id", canWriteCalendar, deleteHoliday);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+
+const {
+  getCoupons,
+  addCoupon,
+  editCoupon,
+  deleteCoupon,
+} = require("../../controllers/admin/coupon-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadPromotions = requirePermission(PERMISSIONS.PROMOTIONS_READ);
+const canWritePromotions = requirePermission(PERMISSIONS.PROMOTIONS_WRITE);
+
+router.get("/get", canReadPromotions, getCoupons);
+router.post("/add", canWritePromotions, addCoupon);
+router.put("/edit/:id", canWritePromotions, editCoupon);
+router.delete("/delete/:id", canWritePromotions, deleteCoupon);
+
+module.exports = router;
@@ -4,12 +4,25 @@ const {
   getAllOrdersOfAllUsers,
   getOrderDetailsForAdmin,
   updateOrderStatus,
+  refundOrder,
+  markOrderAsPaid,
+  overrideDeliveryDates,
+  exportInvoices,
 } = require("../../controllers/admin/order-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
 
 const router = express.Router();
 
-router.get("/get", getAllOrdersOfAllUsers);
-router.get("/details/:id", getOrderDetailsForAdmin);
-router.put("/update/:id", updateOrderStatus);
+const canReadOrders = requirePermission(PERMISSIONS.ORDERS_READ);
+const canWriteOrders = requirePermission(PERMISSIONS.ORDERS_WRITE);
+const canRefundOrders = requirePermission(PERMISSIONS.ORDERS_REFUND);
+
+router.get("/get", canReadOrders, getAllOrdersOfAllUsers);
+router.get("/details/:id", canReadOrders, getOrderDetailsForAdmin);
+router.get("/invoices/export", canReadOrders, exportInvoices);
+router.put("/update/:id", canWriteOrders, updateOrderStatus);
+router.put("/mark-paid/:id", canWriteOrders, markOrderAsPaid);
+router.put("/delivery-dates/:id", canWriteOrders, overrideDeliveryDates);
+router.post("/refund/:id", canRefundOrders, refundOrder);
 
 module.exports = router;
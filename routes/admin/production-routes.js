@@ -0,0 +1,29 @@
+const express = require("express");
+
+const {
+  getAllProductionJobs,
+  getProductionJobDetails,
+  getWorkloadByStage,
+  getWorkloadByTailor,
+  updateProductionStage,
+  assignProductionJob,
+  addProductionNote,
+} = require("../../controllers/admin/production-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadProduction = requirePermission(PERMISSIONS.PRODUCTION_READ);
+const canWriteProduction = requirePermission(PERMISSIONS.PRODUCTION_WRITE);
+// Tailors move their own jobs along; the controller checks the assignment
+const canWorkOnProduction = requirePermission(PERMISSIONS.PRODUCTION_READ);
+
+router.get("/get", canReadProduction, getAllProductionJobs);
+router.get("/details/:id", canReadProduction, getProductionJobDetails);
+router.get("/workload/stages", canReadProduction, getWorkloadByStage);
+router.get("/workload/tailors", canReadProduction, getWorkloadByTailor);
+router.put("/stage/:id", canWorkOnProduction, updateProductionStage);
+router.put("/assign/:id", canWriteProduction, assignProductionJob);
+router.post("/note/:id", canWorkOnProduction, addProductionNote);
+
+module.exports = router;
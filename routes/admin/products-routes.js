@@ -9,14 +9,18 @@ const {
 } = require("../../controllers/admin/products-controller");
 
 const { upload } = require("../../helpers/cloudinary");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
 
 const router = express.Router();
 
-router.post("/upload-image", upload.any(), handleImageUpload);
+const canReadProducts = requirePermission(PERMISSIONS.PRODUCTS_READ);
+const canWriteProducts = requirePermission(PERMISSIONS.PRODUCTS_WRITE);
 
-router.post("/add", upload.any(), addProduct);
-router.put("/edit/:id", upload.any(), editProduct);
-router.delete("/delete/:id", deleteProduct);
-router.get("/get", fetchAllProducts);
+router.post("/upload-image", canWriteProducts, upload.any(), handleImageUpload);
+
+router.post("/add", canWriteProducts, upload.any(), addProduct);
+router.put("/edit/:id", canWriteProducts, upload.any(), editProduct);
+router.delete("/delete/:id", canWriteProducts, deleteProduct);
+router.get("/get", canReadProducts, fetchAllProducts);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require("express");
+
+const {
+  getAllReturnRequests,
+  getReturnRequestDetailsForAdmin,
+  approveReturnRequest,
+  rejectReturnRequest,
+  scheduleReturnPickup,
+  completeReturnRequest,
+} = require("../../controllers/admin/return-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadReturns = requirePermission(PERMISSIONS.RETURNS_READ);
+const canWriteReturns = requirePermission(PERMISSIONS.RETURNS_WRITE);
+
+router.get("/get", canReadReturns, getAllReturnRequests);
+router.get("/details/:id", canReadReturns, getReturnRequestDetailsForAdmin);
+router.put("/approve/:id", canWriteReturns, approveReturnRequest);
+router.put("/reject/:id", canWriteReturns, rejectReturnRequest);
+router.put("/schedule-pickup/:id", canWriteReturns, scheduleReturnPickup);
+router.put("/complete/:id", canWriteReturns, completeReturnRequest);
+
+module.exports = router;
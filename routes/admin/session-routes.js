@@ -0,0 +1,19 @@
+const express = require("express");
+
+const {
+  getUserSessions,
+  revokeUserSessionByStaff,
+  revokeAllUserSessions,
+} = require("../../controllers/admin/session-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadSessions = requirePermission(PERMISSIONS.SESSIONS_READ);
+const canWriteSessions = requirePermission(PERMISSIONS.SESSIONS_WRITE);
+
+router.get("/user/:userId", canReadSessions, getUserSessions);
+router.delete("/user/:userId/:sessionId", canWriteSessions, revokeUserSessionByStaff);
+router.post("/user/:userId/revoke-all", canWriteSessions, revokeAllUserSessions);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+
+const {
+  getShippingZones,
+  addShippingZone,
+  editShippingZone,
+  deleteShippingZone,
+} = require("../../controllers/admin/shipping-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadShipping = requirePermission(PERMISSIONS.ORDERS_READ);
+const canWriteShipping = requirePermission(PERMISSIONS.ORDERS_WRITE);
+
+router.get("/zones", canReadShipping, getShippingZones);
+router.post("/zones", canWriteShipping, addShippingZone);
+router.put("/zones/:id", canWriteShipping, editShippingZone);
+router.delete("/zones/:id", canWriteShipping, deleteShippingZone);
+
+module.exports = router;
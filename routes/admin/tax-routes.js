@@ -0,0 +1,21 @@
+const express = require("express");
+
+const {
+  getTaxClasses,
+  addTaxClass,
+  editTaxClass,
+  deleteTaxClass,
+} = require("../../controllers/admin/tax-controller");
+const { requirePermission, PERMISSIONS } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+const canReadTaxClasses = requirePermission(PERMISSIONS.PRODUCTS_READ);
+const canWriteTaxClasses = requirePermission(PERMISSIONS.PRODUCTS_WRITE);
+
+router.get("/get", canReadTaxClasses, getTaxClasses);
+router.post("/add", canWriteTaxClasses, addTaxClass);
+router.put("/edit/:id", canWriteTaxClasses, editTaxClass);
+router.delete("/delete/:id", canWriteTaxClasses, deleteTaxClass);
+
+module.exports = router;
@@ -3,6 +3,15 @@ const {
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllSessions,
+  getMySessions,
+  revokeMySession,
+  refreshSession,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   authMiddleware,
   checkAuthStatusMiddleware,
 } = require("../../controllers/auth/auth-controller");
@@ -12,6 +21,15 @@ const router = express.Router();
 router.post("/register", registerUser);
 router.post("/login", loginUser);
 router.post("/logout", logoutUser);
+router.post("/logout-all", authMiddleware, logoutAllSessions);
+router.get("/sessions", authMiddleware, getMySessions);
+router.delete("/sessions/:sessionId", authMiddleware, revokeMySession);
+router.post("/refresh", refreshSession);
+router.post("/change-password", authMiddleware, changePassword);
+router.post("/forgot-password", requestPasswordReset);
+router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", authMiddleware, resendVerificationEmail);
 
 router.get("/check-auth", checkAuthStatusMiddleware, (req, res) => {
   const user = req.user;
@@ -26,6 +44,7 @@ router.get("/check-auth", checkAuthStatusMiddleware, (req, res) => {
         email: user.email,
         userName: user.userName,
         role: user.role,
+        emailVerified: user.emailVerified,
       },
     });
   } else {
@@ -6,12 +6,13 @@ const {
   editAddress,
   deleteAddress,
 } = require("../../controllers/shop/address-controller");
+const { requireOwnership } = require("../../helpers/rbac");
 
 const router = express.Router();
 
-router.post("/add", addAddress);
-router.get("/get/:userId", fetchAllAddress);
-router.delete("/delete/:userId/:addressId", deleteAddress);
-router.put("/update/:userId/:addressId", editAddress);
+router.post("/add", requireOwnership, addAddress);
+router.get("/get/:userId", requireOwnership, fetchAllAddress);
+router.delete("/delete/:userId/:addressId", requireOwnership, deleteAddress);
+router.put("/update/:userId/:addressId", requireOwnership, editAddress);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+
+const {
+  getAvailableSlots,
+  bookAppointmentForUser,
+  getAppointmentsByUser,
+  rescheduleAppointmentForUser,
+  cancelAppointmentForUser,
+} = require("../../controllers/shop/appointment-controller");
+const { requireOwnership } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+router.get("/slots", getAvailableSlots);
+router.post("/book", requireOwnership, bookAppointmentForUser);
+router.get("/list/:userId", requireOwnership, getAppointmentsByUser);
+router.put("/reschedule/:userId/:appointmentId", requireOwnership, rescheduleAppointmentForUser);
+router.put("/cancel/:userId/:appointmentId", requireOwnership, cancelAppointmentForUser);
+
+module.exports = router;
@@ -5,13 +5,20 @@ const {
   fetchCartItems,
   deleteCartItem,
   updateCartItemQty,
+  applyCoupon,
+  removeCoupon,
+  getShippingQuote,
 } = require("../../controllers/shop/cart-controller");
+const { requireOwnership } = require("../../helpers/rbac");
 
 const router = express.Router();
 
-router.post("/add", addToCart);
-router.get("/get/:userId", fetchCartItems);
-router.put("/update-cart", updateCartItemQty);
-router.delete("/:userId/:productId", deleteCartItem);
+router.post("/add", requireOwnership, addToCart);
+router.get("/get/:userId", requireOwnership, fetchCartItems);
+router.put("/update-cart", requireOwnership, updateCartItemQty);
+router.get("/shipping-quote/:userId", requireOwnership, getShippingQuote);
+router.post("/coupon/apply", requireOwnership, applyCoupon);
+router.delete("/coupon/:userId", requireOwnership, removeCoupon);
+router.delete("/:userId/:productId", requireOwnership, deleteCartItem);
 
 module.exports = router;
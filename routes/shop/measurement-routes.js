@@ -0,0 +1,20 @@
+const express = require("express");
+
+const {
+  addMeasurement,
+  fetchAllMeasurements,
+  getMeasurementDetails,
+  editMeasurement,
+  deleteMeasurement,
+} = require("../../controllers/shop/measurement-controller");
+const { requireOwnership } = require("../../helpers/rbac");
+
+const router = express.Router();
+
+router.post("/add", requireOwnership, addMeasurement);
+router.get("/get/:userId", requireOwnership, fetchAllMeasurements);
+router.get("/details/:userId/:measurementId", requireOwnership, getMeasurementDetails);
+router.put("/update/:userId/:measurementId", requireOwnership, editMeasurement);
+router.delete("/delete/:userId/:measurementId", requireOwnership, deleteMeasurement);
+
+module.exports = router;
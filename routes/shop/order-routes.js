@@ -5,13 +5,28 @@ const {
   getAllOrdersByUser,
   getOrderDetails,
   capturePayment,
+  handlePaymentWebhook,
+  cancelOrderByCustomer,
+  downloadInvoice,
+  getStoreCredit,
 } = require("../../controllers/shop/order-controller");
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+} = require("../../controllers/auth/auth-controller");
+const { requireOwnership } = require("../../helpers/rbac");
 
 const router = express.Router();
 
-router.post("/create", createOrder);
-router.post("/capture", capturePayment);
-router.get("/list/:userId", getAllOrdersByUser);
-router.get("/details/:id", getOrderDetails);
+router.post("/create", requireOwnership, requireVerifiedEmail, createOrder);
+router.post("/capture", authMiddleware, capturePayment);
+router.get("/list/:userId", requireOwnership, getAllOrdersByUser);
+router.get("/details/:id", authMiddleware, getOrderDetails);
+router.post("/cancel/:id", authMiddleware, cancelOrderByCustomer);
+router.get("/:id/invoice", authMiddleware, downloadInvoice);
+router.get("/store-credit/:userId", requireOwnership, getStoreCredit);
+
+// Called by the payment providers, authenticated by signature instead of JWT
+router.post("/webhook/:provider", handlePaymentWebhook);
 
 module.exports = router;
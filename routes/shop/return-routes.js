@@ -0,0 +1,19 @@
+const express = require("express");
+
+const {
+  createReturnRequest,
+  getReturnRequestsByUser,
+  getReturnRequestDetails,
+} = require("../../controllers/shop/return-controller");
+const { authMiddleware } = require("../../controllers/auth/auth-controller");
+const { requireOwnership } = require("../../helpers/rbac");
+const { upload } = require("../../helpers/cloudinary");
+
+const router = express.Router();
+
+// Multipart so customers can attach photos; ownership is checked against the order
+router.post("/create", authMiddleware, upload.any(), createReturnRequest);
+router.get("/list/:userId", requireOwnership, getReturnRequestsByUser);
+router.get("/details/:id", authMiddleware, getReturnRequestDetails);
+
+module.exports = router;
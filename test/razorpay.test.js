@@ -0,0 +1,225 @@
+// test/razorpay.test.js - Razorpay client and provider against the local stub
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startRazorpayStub, sign } = require("./stubs/razorpay-server");
+
+const KEY_ID = "rzp_test_stubkey";
+const KEY_SECRET = "stub_key_secret";
+const WEBHOOK_SECRET = "stub_webhook_secret";
+
+describe("razorpay", () => {
+  let stub;
+  let razorpay;
+  let provider;
+
+  // The client reads its configuration when loaded, so point it at the stub first
+  before(async () => {
+    stub = await startRazorpayStub({ keyId: KEY_ID, keySecret: KEY_SECRET });
+    process.env.RAZORPAY_API_BASE = stub.baseUrl;
+    process.env.RAZORPAY_KEY_ID = KEY_ID;
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    razorpay = require("../helpers/razorpay");
+    provider = require("../helpers/payments/razorpay-provider");
+  });
+
+  after(() => stub.close());
+
+  // Creates a Razorpay order for `totalAmount` and pays it at the stub
+  async function placeOrder(totalAmount, { paidAmount } = {}) {
+    const order = { _id: "64b000000000000000000001", userId: "u1", totalAmount };
+    const { providerOrderId } = await provider.createPayment(order);
+    order.providerOrderId = providerOrderId;
+
+    const response = await fetch(`${stub.baseUrl}/_checkout/${providerOrderId}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString("base64")}`,
+      },
+      body: JSON.stringify(paidAmount ? { amount: razorpay.toPaise(paidAmount) } : {}),
+    });
+
+    return { order, checkout: await response.json() };
+  }
+
+  describe("createPayment", () => {
+    it("creates an INR order in paise with the order id as receipt", async () => {
+      const order = { _id: "64b000000000000000000002", userId: "u1", totalAmount: 1499.5 };
+      const { providerOrderId, response } = await provider.createPayment(order);
+
+      const stored = stub.orders.get(providerOrderId);
+      assert.equal(stored.amount, 149950);
+      assert.equal(stored.currency, "INR");
+      assert.equal(stored.receipt, order._id);
+      assert.deepEqual(response.razorpayOrder, {
+        id: providerOrderId,
+        amount: 149950,
+        currency: "INR",
+        keyId: KEY_ID,
+      });
+    });
+
+    it("surfaces API errors with a 502 status", async () => {
+      await assert.rejects(
+        razorpay.createOrder({ amount: 0.5, receipt: "r1" }),
+        (error) => error.status === 502 && /at least 100 paise/.test(error.message)
+      );
+    });
+  });
+
+  describe("verifyPaymentSignature", () => {
+    it("accepts the signature Checkout returns", async () => {
+      const { checkout } = await placeOrder(500);
+
+      assert.equal(
+        razorpay.verifyPaymentSignature({
+          orderId: checkout.razorpay_order_id,
+          paymentId: checkout.razorpay_payment_id,
+          signature: checkout.razorpay_signature,
+        }),
+        true
+      );
+    });
+
+    it("rejects a signature for another order, a tampered one or none", async () => {
+      const first = await placeOrder(500);
+      const second = await placeOrder(500);
+
+      const verify = (signature) =>
+        razorpay.verifyPaymentSignature({
+          orderId: first.checkout.razorpay_order_id,
+          paymentId: first.checkout.razorpay_payment_id,
+          signature,
+        });
+
+      assert.equal(verify(second.checkout.razorpay_signature), false);
+      assert.equal(verify(first.checkout.razorpay_signature.replace(/.$/, "0")), false);
+      assert.equal(verify(undefined), false);
+    });
+  });
+
+  describe("capturePayment", () => {
+    it("captures an authorized payment that matches the order", async () => {
+      const { order, checkout } = await placeOrder(2400);
+
+      const result = await provider.capturePayment(order, checkout);
+
+      assert.equal(result.paymentId, checkout.razorpay_payment_id);
+      assert.equal(stub.payments.get(result.paymentId).status, "captured");
+    });
+
+    it("refuses a forged signature without capturing", async () => {
+      const { order, checkout } = await placeOrder(2400);
+
+      await assert.rejects(
+        provider.capturePayment(order, { ...checkout, razorpay_signature: "0".repeat(64) }),
+        (error) => error.status === 400 && /signature/.test(error.message)
+      );
+      assert.equal(stub.payments.get(checkout.razorpay_payment_id).status, "authorized");
+    });
+
+    it("refuses a payment for less than the order total", async () => {
+      const { order, checkout } = await placeOrder(2400, { paidAmount: 1 });
+
+      await assert.rejects(
+        provider.capturePayment(order, checkout),
+        (error) => error.status === 400 && /does not match/.test(error.message)
+      );
+      assert.equal(stub.payments.get(checkout.razorpay_payment_id).status, "authorized");
+    });
+
+    it("refuses a payment made against another Razorpay order", async () => {
+      const first = await placeOrder(2400);
+      const second = await placeOrder(2400);
+
+      await assert.rejects(
+        provider.capturePayment(first.order, second.checkout),
+        (error) => error.status === 400
+      );
+    });
+  });
+
+  describe("verifyWebhook", () => {
+    const rawBody = Buffer.from(JSON.stringify({
+      event: "payment.captured",
+      payload: {
+        payment: { entity: { id: "pay_1", order_id: "order_1", amount: 240000, email: "a@b.c" } },
+      },
+    }));
+
+    it("reads a payment event signed with the webhook secret", async () => {
+      const event = await provider.verifyWebhook({
+        headers: {
+          "x-razorpay-signature": sign(WEBHOOK_SECRET, rawBody),
+          "x-razorpay-event-id": "evt_1",
+        },
+        rawBody,
+      });
+
+      assert.deepEqual(event, {
+        id: "evt_1",
+        type: "payment.captured",
+        providerOrderId: "order_1",
+        paymentId: "pay_1",
+        payerId: "a@b.c",
+        amount: 2400,
+      });
+    });
+
+    it("rejects a body signed with another secret", async () => {
+      await assert.rejects(
+        provider.verifyWebhook({
+          headers: { "x-razorpay-signature": sign("", rawBody), "x-razorpay-event-id": "evt_2" },
+          rawBody,
+        }),
+        (error) => error.status === 400
+      );
+    });
+
+    it("refuses every webhook while the secret is unset", async () => {
+      const providerPath = require.resolve("../helpers/payments/razorpay-provider");
+      delete require.cache[providerPath];
+      delete process.env.RAZORPAY_WEBHOOK_SECRET;
+
+      try {
+        const unconfigured = require(providerPath);
+        await assert.rejects(
+          unconfigured.verifyWebhook({
+            headers: { "x-razorpay-signature": sign("", rawBody), "x-razorpay-event-id": "evt_3" },
+            rawBody,
+          }),
+          (error) => error.status === 503
+        );
+      } finally {
+        process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+        delete require.cache[providerPath];
+      }
+    });
+  });
+
+  describe("refundPayment", () => {
+    it("refunds part of a payment and then the rest", async () => {
+      const { order, checkout } = await placeOrder(1000);
+      const { paymentId } = await provider.capturePayment(order, checkout);
+      order.paymentId = paymentId;
+
+      const partial = await provider.refundPayment(order, 250);
+      const rest = await provider.refundPayment(order);
+
+      const refunds = stub.refunds.filter((refund) => refund.payment_id === paymentId);
+      assert.deepEqual(
+        refunds.map((refund) => [refund.id, refund.amount]),
+        [[partial.refundId, 25000], [rest.refundId, 75000]]
+      );
+    });
+
+    it("fails when more than the payment is refunded", async () => {
+      const { order, checkout } = await placeOrder(1000);
+      order.paymentId = (await provider.capturePayment(order, checkout)).paymentId;
+
+      await assert.rejects(provider.refundPayment(order, 1000.01), (error) => error.status === 502);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// test/stubs/razorpay-server.js - Local stand-in for the Razorpay REST API
+//
+// Serves the endpoints helpers/razorpay.js calls and refuses requests without
+// the expected key pair. POST /_checkout/:orderId plays the customer paying in
+// Razorpay Checkout: it authorizes a payment and returns the signed handler
+// payload the frontend would post to /api/shop/order/capture.
+const http = require("http");
+const crypto = require("crypto");
+
+function sign(secret, value) {
+  return crypto.createHmac("sha256", secret).update(value).digest("hex");
+}
+
+function startRazorpayStub({ keyId, keySecret }) {
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = [];
+  let sequence = 0;
+
+  const nextId = (prefix) => `${prefix}_stub${String(++sequence).padStart(6, "0")}`;
+  const expectedAuth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`;
+
+  function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  function fail(res, status, description) {
+    send(res, status, { error: { code: "BAD_REQUEST_ERROR", description } });
+  }
+
+  function route(req, body) {
+    const path = req.url.replace(/^\/v1/, "");
+    let match;
+
+    if (req.method === "POST" && path === "/orders") {
+      if (!Number.isInteger(body.amount) || body.amount < 100) {
+        return [400, "amount must be an integer of at least 100 paise"];
+      }
+      const order = {
+        id: nextId("order"),
+        entity: "order",
+        amount: body.amount,
+        currency: body.currency,
+        receipt: body.receipt,
+        notes: body.notes,
+        status: "created",
+      };
+      orders.set(order.id, order);
+      return [200, order];
+    }
+
+    if (req.method === "POST" && (match = path.match(/^\/_checkout\/([^/]+)$/))) {
+      const order = orders.get(match[1]);
+      if (!order) return [400, "The id provided does not exist"];
+
+      const payment = {
+        id: nextId("pay"),
+        entity: "payment",
+        order_id: order.id,
+        amount: body.amount ?? order.amount,
+        currency: order.currency,
+        status: "authorized",
+        email: "customer@example.com",
+      };
+      payments.set(payment.id, payment);
+      order.status = "attempted";
+
+      return [200, {
+        razorpay_order_id: order.id,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: sign(keySecret, `${order.id}|${payment.id}`),
+      }];
+    }
+
+    if (req.method === "GET" && (match = path.match(/^\/payments\/([^/]+)$/))) {
+      const payment = payments.get(decodeURIComponent(match[1]));
+      return payment ? [200, payment] : [400, "The id provided does not exist"];
+    }
+
+    if (req.method === "POST" && (match = path.match(/^\/payments\/([^/]+)\/capture$/))) {
+      const payment = payments.get(decodeURIComponent(match[1]));
+      if (!payment) return [400, "The id provided does not exist"];
+      if (payment.status !== "authorized") return [400, "This payment has already been captured"];
+      if (body.amount !== payment.amount) {
+        return [400, "Capture amount must be equal to the amount authorized"];
+      }
+      payment.status = "captured";
+      orders.get(payment.order_id).status = "paid";
+      return [200, payment];
+    }
+
+    if (req.method === "POST" && (match = path.match(/^\/payments\/([^/]+)\/refund$/))) {
+      const payment = payments.get(decodeURIComponent(match[1]));
+      if (!payment || payment.status !== "captured") {
+        return [400, "The payment has not been captured"];
+      }
+      const refunded = refunds
+        .filter((refund) => refund.payment_id === payment.id)
+        .reduce((total, refund) => total + refund.amount, 0);
+      const amount = body.amount ?? payment.amount - refunded;
+      if (amount <= 0 || refunded + amount > payment.amount) {
+        return [400, "The refund amount is greater than the amount left to refund"];
+      }
+      const refund = { id: nextId("rfnd"), entity: "refund", payment_id: payment.id, amount };
+      refunds.push(refund);
+      return [200, refund];
+    }
+
+    return [404, "The requested URL was not found on the server"];
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      if (req.headers.authorization !== expectedAuth) {
+        return fail(res, 401, "The api key provided is invalid");
+      }
+
+      let body = {};
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+      } catch (error) {
+        return fail(res, 400, "Invalid JSON body");
+      }
+
+      const [status, result] = route(req, body);
+      if (status === 200) send(res, status, result);
+      else fail(res, status, result);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        orders,
+        payments,
+        refunds,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startRazorpayStub, sign };